@@ -0,0 +1,25 @@
+require("dotenv").config();
+const { parseArgs } = require("util");
+const { loadConfig } = require("./lib/config");
+const { createServer } = require("./lib/server");
+
+// === TerraCloud entry point ===
+// One server for every setup: STT provider, TTS delivery, persona, skills, greeting and port
+// come from a JSON config file and the environment (see lib/config.js).
+//
+//   node index.js                                  # terracloud.config.json if present, else defaults
+//   node index.js --config config/voicechat.json   # one of the presets
+//   PORT=3000 STT_PROVIDER=deepgram node index.js  # env wins over the file
+
+const { values } = parseArgs({ options: { config: { type: "string", short: "c" } } });
+
+let config;
+try {
+  config = loadConfig({ file: values.config });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+if (config.file) console.log(`⚙️ Config: ${config.file}`);
+createServer(config).listen();
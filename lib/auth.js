@@ -0,0 +1,172 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { isValidDeviceId } = require("./history");
+
+// === Device pairing and authentication ===
+// A device is registered once (POST /devices/register) and gets a bearer token; only a hash of
+// it is kept in devices.json. The token comes back on every WebSocket upgrade, either as
+// "Authorization: Bearer <token>" or as ?token=<token> for clients that can't set headers.
+// Connections without a valid token are accepted and closed straight away with a close code
+// the firmware can show, instead of an HTTP error most ESP32 WebSocket clients swallow.
+//
+// AUTH_REQUIRED=0 turns all of this off for local development.
+
+const DEVICES_FILE = process.env.DEVICES_FILE || "devices.json";
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED !== "0";
+
+const CLOSE_CODES = {
+  UNAUTHORIZED: 4401, // no token, or a token we never issued
+  REVOKED: 4403, // the device's token was revoked
+};
+
+let store = null;
+
+function loadStore() {
+  if (store) return store;
+  try {
+    store = JSON.parse(fs.readFileSync(DEVICES_FILE, "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`⚠️ Failed to load ${DEVICES_FILE}:`, err);
+    store = {};
+  }
+  return store;
+}
+
+function saveStore() {
+  try {
+    fs.writeFileSync(DEVICES_FILE, JSON.stringify(store, null, 2), { mode: 0o600 });
+  } catch (err) {
+    console.error(`⚠️ Failed to save ${DEVICES_FILE}:`, err);
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Issues a fresh token; registering an existing device replaces (and so invalidates) its old one
+// and lifts any revocation. Callers check registrationRefusal() first.
+function registerDevice(deviceId, { name } = {}) {
+  if (!isValidDeviceId(deviceId)) throw new Error(`Invalid device id: ${deviceId}`);
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const devices = loadStore();
+  devices[deviceId] = {
+    name: name || devices[deviceId]?.name || deviceId,
+    tokenHash: hashToken(token),
+    registeredAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+  saveStore();
+  return token;
+}
+
+function revokeDevice(deviceId) {
+  const device = loadStore()[deviceId];
+  if (!device || device.revokedAt) return false;
+  device.revokedAt = new Date().toISOString();
+  saveStore();
+  return true;
+}
+
+function listRegistered() {
+  return Object.entries(loadStore()).map(([deviceId, { name, registeredAt, revokedAt }]) => ({
+    deviceId,
+    name,
+    registeredAt,
+    revokedAt,
+  }));
+}
+
+// Resolves a token to { deviceId } or { error: "unauthorized" | "revoked" }
+function verifyToken(token) {
+  if (!token) return { error: "unauthorized" };
+
+  const hash = hashToken(token);
+  for (const [deviceId, device] of Object.entries(loadStore())) {
+    if (!safeEqual(device.tokenHash, hash)) continue;
+    return device.revokedAt ? { error: "revoked", deviceId } : { deviceId };
+  }
+  return { error: "unauthorized" };
+}
+
+function bearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+function tokenFromRequest(req) {
+  return bearerToken(req) || new URL(req.url, "http://localhost").searchParams.get("token");
+}
+
+// ws `verifyClient` hook: checks the token during the upgrade and leaves the verdict on the
+// request for admit(). Never refuses the upgrade itself, so the device gets a close code.
+function verifyClient({ req }) {
+  req.auth = AUTH_REQUIRED ? verifyToken(tokenFromRequest(req)) : { deviceId: null };
+  return true;
+}
+
+// Call first thing in the connection handler. Returns the authenticated device id (null when
+// auth is off), or closes the socket and returns undefined.
+function admit(ws, req) {
+  const auth = req.auth ?? (AUTH_REQUIRED ? verifyToken(tokenFromRequest(req)) : { deviceId: null });
+  if (!auth.error) return auth.deviceId;
+
+  const revoked = auth.error === "revoked";
+  console.log(`🚫 Rejected connection${auth.deviceId ? ` from ${auth.deviceId}` : ""} (${auth.error})`);
+  ws.close(revoked ? CLOSE_CODES.REVOKED : CLOSE_CODES.UNAUTHORIZED, revoked ? "Device revoked" : "Unauthorized");
+  return undefined;
+}
+
+// Express middleware for admin-only routes (Authorization: Bearer $ADMIN_TOKEN)
+function requireAdmin(req, res, next) {
+  if (!AUTH_REQUIRED || isAdmin(req)) return next();
+  if (!process.env.ADMIN_TOKEN) return res.status(403).json({ error: "Set ADMIN_TOKEN to use the admin API" });
+  res.status(401).json({ error: "Unauthorized" });
+}
+
+function isAdmin(req) {
+  const token = bearerToken(req);
+  return Boolean(process.env.ADMIN_TOKEN && token && safeEqual(token, process.env.ADMIN_TOKEN));
+}
+
+// Admin check for WebSocket upgrades: browsers can't set headers there, so ?token= works too
+function isAdminUpgrade(req) {
+  if (!AUTH_REQUIRED) return true;
+  const token = tokenFromRequest(req);
+  return Boolean(process.env.ADMIN_TOKEN && token && safeEqual(token, process.env.ADMIN_TOKEN));
+}
+
+// Pairing from the field: a device may register itself with PAIRING_CODE instead of the admin
+// token, but only under an id nobody holds yet. Re-issuing a token or lifting a revocation takes
+// the admin token. Returns null when `req` may register `deviceId`, otherwise { status, error }.
+function registrationRefusal(req, deviceId) {
+  if (!AUTH_REQUIRED || isAdmin(req)) return null;
+  const code = req.body?.pairing_code;
+  if (!process.env.PAIRING_CODE || typeof code !== "string" || !safeEqual(code, process.env.PAIRING_CODE))
+    return { status: 401, error: "Unauthorized" };
+
+  const devices = loadStore();
+  if (!Object.hasOwn(devices, deviceId)) return null;
+  return { status: 409, error: devices[deviceId].revokedAt ? "Device revoked" : "Device already registered" };
+}
+
+module.exports = {
+  registerDevice,
+  revokeDevice,
+  listRegistered,
+  verifyToken,
+  verifyClient,
+  admit,
+  requireAdmin,
+  isAdminUpgrade,
+  registrationRefusal,
+  CLOSE_CODES,
+  AUTH_REQUIRED,
+};
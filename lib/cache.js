@@ -0,0 +1,37 @@
+// === In-memory TTL cache ===
+// Keeps API responses for a few minutes so the same question asked twice doesn't spend
+// quota twice. Entries expire after `ttlMs`; past `max` entries the oldest one goes.
+
+function createCache({ ttlMs, max = 500, now = Date.now }) {
+  const entries = new Map(); // key → { value, expiresAt }, oldest first
+
+  return {
+    // The cached value, or undefined if there is none or it expired
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      if (entries.size > max) entries.delete(entries.keys().next().value);
+      return value;
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,162 @@
+const fs = require("fs");
+const path = require("path");
+const { PROVIDERS } = require("./stt");
+const { DELIVERIES, BACKENDS } = require("./tts");
+const { CODECS } = require("./tts/codecs");
+const { INTENT_MODES } = require("./skills");
+const { validateSettings } = require("./settings");
+const { LANGUAGES } = require("./i18n");
+
+// === Server configuration ===
+// What used to be five diverging server scripts is one server; this decides how it behaves.
+// Layers: built-in defaults < the JSON config file < environment variables. The file is
+// --config <file>, else CONFIG_FILE, else terracloud.config.json if there is one. Presets
+// matching the old scripts live in config/.
+
+const DEFAULT_CONFIG_FILE = "terracloud.config.json";
+const STT_MODES = ["batch", "stream"];
+
+const DEFAULT_CONFIG = {
+  port: 10000,
+  publicUrl: null, // base of TTS URLs; otherwise taken from the device's Host header
+  intentMode: "tools",
+  stt: {
+    provider: "whisper",
+    fallback: null, // null = whichever other provider has a key, "none" = no fallback
+    mode: "batch", // "stream" forwards audio to Deepgram live while the user talks
+  },
+  tts: {
+    enabled: true, // false = text replies only
+    backend: "openai",
+    delivery: "url",
+    codec: "mp3",
+  },
+  // The server's defaults for every device; a device's own config and admin overrides win
+  assistant: {
+    voice: "ash",
+    prompt: "You are a helpful AI assistant.",
+    language: "auto",
+    skills: null,
+  },
+  // Spoken once a device has sent its config, or after waitMs if it never does, in the device's
+  // language. Picked at random from the message catalog (lib/i18n.js), or from `messages`
+  // ({ "en": [...], "fil": [...] }) to give this server its own.
+  greeting: {
+    enabled: false,
+    messages: null,
+    waitMs: 1000,
+  },
+  streamReplies: false, // speak the reply sentence by sentence while it's still being generated
+  vad: false, // segment a continuous PCM stream server-side, so START/END become optional
+  legacyText: [], // frame types old firmware gets as bare text ("transcript", "reply")
+};
+
+const list = value => value.split(",").map(item => item.trim()).filter(Boolean);
+const flag = value => value === "1" || value === "true";
+
+// Environment variable → config path and parser
+const ENV_OVERRIDES = {
+  PORT: ["port", Number],
+  PUBLIC_URL: ["publicUrl", String],
+  INTENT_MODE: ["intentMode", String],
+  STT_PROVIDER: ["stt.provider", String],
+  STT_FALLBACK: ["stt.fallback", String],
+  STT_MODE: ["stt.mode", String],
+  TTS_ENABLED: ["tts.enabled", flag],
+  TTS_BACKEND: ["tts.backend", String],
+  TTS_DELIVERY: ["tts.delivery", String],
+  TTS_CODEC: ["tts.codec", String],
+  ASSISTANT_VOICE: ["assistant.voice", String],
+  ASSISTANT_PROMPT: ["assistant.prompt", String],
+  ASSISTANT_LANGUAGE: ["assistant.language", String],
+  ASSISTANT_SKILLS: ["assistant.skills", list],
+  GREETING: ["greeting.enabled", flag],
+  STREAM_REPLIES: ["streamReplies", flag],
+  VAD: ["vad", flag],
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function merge(base, patch) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return merged;
+}
+
+function setPath(target, dotted, value) {
+  const keys = dotted.split(".");
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) node = node[key] ??= {};
+  node[last] = value;
+}
+
+function readConfigFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf-8");
+  } catch (err) {
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    if (!isPlainObject(parsed)) throw new Error("expected a JSON object");
+    return parsed;
+  } catch (err) {
+    throw new Error(`Invalid config file ${file}: ${err.message}`);
+  }
+}
+
+function fromEnv(env) {
+  const overrides = {};
+  for (const [name, [key, parse]] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] !== undefined && env[name] !== "") setPath(overrides, key, parse(env[name]));
+  }
+  return overrides;
+}
+
+function isGreetingCatalog(messages) {
+  return isPlainObject(messages) && Object.entries(messages).every(([language, list]) =>
+    LANGUAGES.includes(language) && Array.isArray(list) && list.every(message => typeof message === "string"));
+}
+
+// Returns a description of the first problem, or null
+function validateConfig(config) {
+  const { port, stt, tts, assistant, greeting } = config;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) return `port must be a port number (got ${port})`;
+  if (!INTENT_MODES.includes(config.intentMode)) return `intentMode must be one of ${INTENT_MODES.join(", ")}`;
+  if (!PROVIDERS[stt.provider]) return `stt.provider must be one of ${Object.keys(PROVIDERS).join(", ")}`;
+  if (stt.fallback !== null && stt.fallback !== "none" && !PROVIDERS[stt.fallback])
+    return `stt.fallback must be "none" or one of ${Object.keys(PROVIDERS).join(", ")}`;
+  if (!STT_MODES.includes(stt.mode)) return `stt.mode must be one of ${STT_MODES.join(", ")}`;
+  if (!BACKENDS[tts.backend]) return `tts.backend must be one of ${Object.keys(BACKENDS).join(", ")}`;
+  if (!DELIVERIES.includes(tts.delivery)) return `tts.delivery must be one of ${DELIVERIES.join(", ")}`;
+  if (!CODECS[tts.codec]) return `tts.codec must be one of ${Object.keys(CODECS).join(", ")}`;
+  if (greeting.messages !== null && !isGreetingCatalog(greeting.messages))
+    return `greeting.messages must map ${LANGUAGES.join(" / ")} to arrays of strings`;
+  if (!Number.isInteger(greeting.waitMs) || greeting.waitMs < 0) return "greeting.waitMs must be a number of milliseconds";
+  if (!Array.isArray(config.legacyText)) return "legacyText must be an array of frame types";
+
+  const invalid = validateSettings(assistant);
+  return invalid && `assistant: ${invalid}`;
+}
+
+// Resolves the configuration, throwing on an unreadable file or an invalid value
+function loadConfig({ file = null, env = process.env } = {}) {
+  let configFile = file || env.CONFIG_FILE || null;
+  if (!configFile && fs.existsSync(DEFAULT_CONFIG_FILE)) configFile = DEFAULT_CONFIG_FILE;
+
+  let config = DEFAULT_CONFIG;
+  if (configFile) config = merge(config, readConfigFile(configFile));
+  config = merge(config, fromEnv(env));
+
+  const invalid = validateConfig(config);
+  if (invalid) throw new Error(`Invalid configuration${configFile ? ` (${configFile})` : ""}: ${invalid}`);
+  return { ...config, file: configFile && path.resolve(configFile) };
+}
+
+module.exports = { loadConfig, validateConfig, DEFAULT_CONFIG, ENV_OVERRIDES, STT_MODES };
@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+
+// === Per-device conversation memory ===
+// Each device keeps its own short history in conversations/<deviceId>.json; older turns
+// live on as a summary and facts in lib/memory.js.
+
+const HISTORY_DIR = process.env.HISTORY_DIR || "conversations";
+const LEGACY_FILE = "conversation.json";
+const MIGRATED_FILE = "conversation.json.migrated";
+const MAX_HISTORY = 5;
+const DEFAULT_DEVICE = "default";
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const cache = new Map();
+
+fs.mkdirSync(HISTORY_DIR, { recursive: true });
+
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === "string" && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+function historyFile(deviceId) {
+  if (!isValidDeviceId(deviceId)) throw new Error(`Invalid device id: ${deviceId}`);
+  return path.join(HISTORY_DIR, `${deviceId}.json`);
+}
+
+function readFile(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`⚠️ Failed to load conversation file ${filePath}:`, err);
+    return [];
+  }
+}
+
+function getHistory(deviceId = DEFAULT_DEVICE) {
+  if (cache.has(deviceId)) return cache.get(deviceId);
+
+  const filePath = historyFile(deviceId);
+  let conversation = readFile(filePath);
+
+  // Carry the old shared conversation.json over to devices that never identified themselves,
+  // once: it's saved as the default device's history and renamed, so clearing that sticks
+  if (!conversation.length && deviceId === DEFAULT_DEVICE && !fs.existsSync(filePath) && fs.existsSync(LEGACY_FILE)) {
+    conversation = readFile(LEGACY_FILE);
+    saveHistory(deviceId, conversation);
+    try {
+      fs.renameSync(LEGACY_FILE, MIGRATED_FILE);
+    } catch (err) {
+      console.error(`⚠️ Failed to rename ${LEGACY_FILE}:`, err);
+    }
+    console.log(`💾 Migrated ${conversation.length} messages from ${LEGACY_FILE}`);
+    return conversation;
+  }
+
+  cache.set(deviceId, conversation);
+  return conversation;
+}
+
+function saveHistory(deviceId, conversation) {
+  cache.set(deviceId, conversation);
+  try {
+    fs.writeFileSync(historyFile(deviceId), JSON.stringify(conversation, null, 2));
+  } catch (err) {
+    console.error(`⚠️ Failed to save conversation for ${deviceId}:`, err);
+  }
+}
+
+// Returns the messages that fell out of the window (for lib/memory.js to fold in)
+function appendExchange(deviceId, userText, reply) {
+  const conversation = [
+    ...getHistory(deviceId),
+    { role: "user", content: userText },
+    { role: "assistant", content: reply },
+  ];
+  const dropped = conversation.splice(0, Math.max(conversation.length - MAX_HISTORY * 2, 0));
+  saveHistory(deviceId, conversation);
+  return dropped;
+}
+
+function clearHistory(deviceId) {
+  cache.delete(deviceId);
+  try {
+    fs.unlinkSync(historyFile(deviceId));
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
+
+function listDevices() {
+  const stored = fs.readdirSync(HISTORY_DIR)
+    .filter(name => name.endsWith(".json"))
+    .map(name => name.slice(0, -".json".length));
+  return [...new Set([...stored, ...cache.keys()])]
+    .filter(isValidDeviceId)
+    .map(deviceId => ({ deviceId, messages: getHistory(deviceId).length }));
+}
+
+module.exports = {
+  getHistory,
+  appendExchange,
+  clearHistory,
+  listDevices,
+  isValidDeviceId,
+  DEFAULT_DEVICE,
+  MAX_HISTORY,
+};
@@ -0,0 +1,188 @@
+// === Localized messages ===
+// Every canned line the assistant says (skill replies, greetings, notices) lives here, once
+// per language, instead of in inline ternaries. t() fills {placeholders} and falls back to
+// English for a key a language doesn't have yet. Array entries are alternatives; pick()
+// chooses one at random.
+
+const DEFAULT_LANGUAGE = "en";
+
+const MESSAGES = {
+  en: {
+    greetings: [
+      "Hey there! What can I do for you today?",
+      "Yo! Need any help?",
+      "Sup! Wanna talk about something cool?",
+      "Hey hey! Do you need help with anything?",
+    ],
+    empty_transcript: "Sorry, I didn't catch that.",
+    "quota.requests_per_minute": "You're talking to me a lot! Give me a minute, then try again.",
+    "quota.audio_seconds_per_day": "You've used up today's listening time. Let's talk again tomorrow.",
+    "quota.tts_chars_per_day": "I've run out of voice for today. Let's talk again tomorrow.",
+
+    "time.now": "It's {date}, and the time is {time}.",
+
+    "weather.current": "The weather in {city} is {description} with a temperature of {temp}°C.",
+    "weather.missing_key": "⚠️ Missing weather API key.",
+    "weather.not_found": "⚠️ Sorry, I couldn't find the weather for that city.",
+    "weather.failed": "⚠️ Sorry, I had trouble getting the weather data.",
+    "weather.forecast": "Forecast for {city}: {parts}.",
+    "weather.day_part": "{day}, {description}, {min} to {max}°C, {rain}% chance of rain",
+    "weather.today": "Today",
+    "weather.tomorrow": "Tomorrow",
+    "weather.saturday": "Saturday",
+    "weather.sunday": "Sunday",
+    "weather.no_forecast": "⚠️ Sorry, there's no forecast for {city} that far ahead.",
+    "weather.rain_at": "Rain is likely in {city} from around {time} ({rain}% chance). Bring an umbrella!",
+    "weather.no_rain": "No rain expected in {city} in the next {hours} hours.",
+    "weather.ambiguous": "There's more than one {name}. Did you mean {options}?",
+    "weather.or": " or ",
+    "weather.home_set": "Got it, I'll use {city} as your home location.",
+
+    "news.home": "the Philippines",
+    "news.general": "general",
+    "news.missing_key": "⚠️ Missing News API key in environment.",
+    "news.none": "⚠️ Sorry, I couldn’t find any news about {topic} right now.",
+    "news.headlines": "📰 Here are the latest {topic} headlines. {items}",
+    "news.more_headlines": "📰 More {topic} headlines. {items}",
+    "news.more_hint": "Say \"next\" for more, or ask me about one of them.",
+    "news.no_more": "That's all the news I have for now.",
+    "news.no_such_item": "I've only read out {count} headlines so far.",
+    "news.nothing_read": "I haven't read you any news yet. Ask me for the latest headlines!",
+    "news.article_prompt": "Retell this news article in two or three short spoken sentences:\n{title}\n{description}",
+    "news.article": "From {source}: {summary}",
+    "news.failed": "⚠️ Sorry, I had trouble getting the news.",
+
+    "reminders.set_reminder": "⏰ Okay, I'll remind you to {text} {when}.",
+    "reminders.set_reminder_plain": "⏰ Okay, I'll remind you {when}.",
+    "reminders.set_timer": "⏱️ Timer set for {duration}.",
+    "reminders.set_alarm": "⏰ Alarm set {when}.",
+    "reminders.need_time": "When should I remind you? For example, \"in 20 minutes\" or \"at 6 PM\".",
+    "reminders.too_many": "You already have a lot of reminders. Cancel some first.",
+    "reminders.none": "You don't have any reminders, timers or alarms.",
+    "reminders.list": "You have {items}.",
+    "reminders.cancelled": "🗑️ Cancelled {items}.",
+    "reminders.nothing_to_cancel": "There's nothing to cancel.",
+    "reminders.item_reminder": "a reminder to {text} {when}",
+    "reminders.item_timer": "a timer ending {when}",
+    "reminders.item_alarm": "an alarm {when}",
+    "reminders.fire_reminder": "⏰ Reminder: {text}!",
+    "reminders.fire_reminder_plain": "⏰ This is your reminder!",
+    "reminders.fire_timer": "⏱️ Time's up! Your {duration} timer is done.",
+    "reminders.fire_alarm": "⏰ Wake up! It's {time}.",
+    "reminders.missed": "While you were away, at {time}: {message}",
+    "reminders.in": "in {duration}",
+    "reminders.at_today": "at {time}",
+    "reminders.at_tomorrow": "at {time} tomorrow",
+    "reminders.at_day": "at {time} on {day}",
+    "reminders.hour": "{n} hour",
+    "reminders.hours": "{n} hours",
+    "reminders.minute": "{n} minute",
+    "reminders.minutes": "{n} minutes",
+    "reminders.second": "{n} second",
+    "reminders.seconds": "{n} seconds",
+    "reminders.and": " and ",
+  },
+
+  fil: {
+    greetings: [
+      "Hey, kamusta ka?",
+      "What’s up? Na-miss mo ba ako?",
+      "Uy! May maitutulong ba ako?",
+      "Kumusta! Ano'ng gusto mong pag-usapan?",
+    ],
+    empty_transcript: "Pasensya na, hindi ko narinig nang maayos.",
+    "quota.requests_per_minute": "Ang dami mo nang tanong! Maghintay ka muna ng isang minuto.",
+    "quota.audio_seconds_per_day": "Naubos na ang oras ng pakikinig ko ngayong araw. Usap tayo ulit bukas.",
+    "quota.tts_chars_per_day": "Wala na akong boses para sa araw na ito. Usap tayo ulit bukas.",
+
+    "time.now": "Ngayon ay {date}, at ang oras ay {time}.",
+
+    "weather.current": "Ang panahon sa {city} ay {temp}°C, {description}.",
+    "weather.missing_key": "⚠️ Kulang ang API key para sa panahon.",
+    "weather.not_found": "⚠️ Pasensya na, hindi ko mahanap ang panahon sa lungsod na iyan.",
+    "weather.failed": "⚠️ Pasensya na, nagkaproblema sa pagkuha ng datos ng panahon.",
+    "weather.forecast": "Taya ng panahon sa {city}: {parts}.",
+    "weather.day_part": "{day}, {description}, {min} hanggang {max}°C, {rain}% tsansa ng ulan",
+    "weather.today": "Ngayong araw",
+    "weather.tomorrow": "Bukas",
+    "weather.saturday": "Sabado",
+    "weather.sunday": "Linggo",
+    "weather.no_forecast": "⚠️ Pasensya na, wala pang taya ng panahon sa {city} para sa araw na iyan.",
+    "weather.rain_at": "Malamang umulan sa {city} mga {time} ({rain}% tsansa). Magdala ka ng payong!",
+    "weather.no_rain": "Walang inaasahang ulan sa {city} sa susunod na {hours} oras.",
+    "weather.ambiguous": "Higit sa isa ang {name}. Alin dito: {options}?",
+    "weather.or": " o ",
+    "weather.home_set": "Sige, {city} na ang gagamitin kong lokasyon mo.",
+
+    "news.home": "Pilipinas",
+    "news.general": "pangkalahatan",
+    "news.missing_key": "⚠️ Kulang ang API key para sa balita.",
+    "news.none": "⚠️ Pasensya na, wala akong mahanap na balita tungkol sa {topic} ngayon.",
+    "news.headlines": "📰 Narito ang mga pinakabagong balita sa {topic}. {items}",
+    "news.more_headlines": "📰 Iba pang balita sa {topic}. {items}",
+    "news.more_hint": "Sabihin ang \"susunod\" para sa iba pa, o magtanong tungkol sa isa sa mga ito.",
+    "news.no_more": "Iyan na ang lahat ng balita ko sa ngayon.",
+    "news.no_such_item": "{count} pa lang na balita ang nababasa ko sa iyo.",
+    "news.nothing_read": "Wala pa akong nababasang balita sa iyo. Itanong mo ang mga pinakabagong balita!",
+    "news.article_prompt": "Ikuwento ang balitang ito sa Filipino, sa dalawa o tatlong maiikling pangungusap:\n{title}\n{description}",
+    "news.article": "Mula sa {source}: {summary}",
+    "news.failed": "⚠️ Pasensya na, nagkaproblema sa pagkuha ng balita.",
+
+    "reminders.set_reminder": "⏰ Sige, ipapaalala ko sa iyo na {text} {when}.",
+    "reminders.set_reminder_plain": "⏰ Sige, paaalalahanan kita {when}.",
+    "reminders.set_timer": "⏱️ Naka-set na ang timer sa {duration}.",
+    "reminders.set_alarm": "⏰ Naka-set na ang alarm {when}.",
+    "reminders.need_time": "Kailan kita paaalalahanan? Halimbawa, \"sa loob ng 20 minuto\" o \"alas sais ng gabi\".",
+    "reminders.too_many": "Marami ka nang paalala. Magkansela ka muna ng ilan.",
+    "reminders.none": "Wala kang naka-set na paalala, timer o alarm.",
+    "reminders.list": "Mayroon kang {items}.",
+    "reminders.cancelled": "🗑️ Kinansela ko ang {items}.",
+    "reminders.nothing_to_cancel": "Wala akong makakansela.",
+    "reminders.item_reminder": "paalala na {text} {when}",
+    "reminders.item_timer": "timer na matatapos {when}",
+    "reminders.item_alarm": "alarm {when}",
+    "reminders.fire_reminder": "⏰ Paalala: {text}!",
+    "reminders.fire_reminder_plain": "⏰ Ito ang paalala mo!",
+    "reminders.fire_timer": "⏱️ Tapos na ang {duration} na timer mo!",
+    "reminders.fire_alarm": "⏰ Gising na! {time} na.",
+    "reminders.missed": "Habang wala ka, noong {time}: {message}",
+    "reminders.in": "pagkalipas ng {duration}",
+    "reminders.at_today": "ngayong {time}",
+    "reminders.at_tomorrow": "bukas ng {time}",
+    "reminders.at_day": "sa {day}, {time}",
+    "reminders.hour": "{n} oras",
+    "reminders.hours": "{n} oras",
+    "reminders.minute": "{n} minuto",
+    "reminders.minutes": "{n} minuto",
+    "reminders.second": "{n} segundo",
+    "reminders.seconds": "{n} segundo",
+    "reminders.and": " at ",
+  },
+};
+
+const LANGUAGES = Object.keys(MESSAGES);
+
+function lookup(language, key) {
+  const entry = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+  if (entry === undefined) throw new Error(`No message "${key}"`);
+  return entry;
+}
+
+function format(template, params) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+// The message `key` in `language` ("auto", unknown or null mean English)
+function t(language, key, params = {}) {
+  const entry = lookup(language, key);
+  return format(Array.isArray(entry) ? entry[0] : entry, params);
+}
+
+// One of the alternatives for `key`, at random
+function pick(language, key, params = {}) {
+  const entry = lookup(language, key);
+  const options = Array.isArray(entry) ? entry : [entry];
+  return format(options[Math.floor(Math.random() * options.length)], params);
+}
+
+module.exports = { t, pick, MESSAGES, LANGUAGES, DEFAULT_LANGUAGE };
@@ -0,0 +1,70 @@
+// === Language identification (Filipino / English) ===
+// Decides which language a transcript is in, so replies come back in the same one. A local
+// classifier counts function words, which Taglish keeps from Tagalog even when the nouns
+// are English ("Ano ang weather sa Cebu?"); any clear share of Filipino makes the utterance
+// Filipino. When the text has too few of those words to tell, the language the STT provider
+// heard is used instead.
+
+// Words that almost only occur in one language; content words ("panahon", "weather") are
+// left out on purpose, they're borrowed both ways
+const MARKERS = {
+  fil: [
+    "ang", "ng", "nang", "mga", "sa", "si", "ni", "kay", "na", "ay", "ba", "po", "ho", "ko", "mo", "ka",
+    "ako", "ikaw", "siya", "kami", "tayo", "kayo", "sila", "namin", "natin", "ninyo", "nila", "akin", "iyo",
+    "ano", "anong", "sino", "saan", "kailan", "bakit", "paano", "ilan", "magkano", "alin",
+    "ito", "iyan", "iyon", "yan", "yun", "yung", "dito", "diyan", "doon", "ngayon", "bukas", "kahapon",
+    "hindi", "oo", "opo", "wala", "walang", "meron", "mayroon", "lang", "lamang", "din", "rin",
+    "naman", "pa", "pala", "kasi", "dahil", "kung", "pero", "para", "kumusta", "kamusta", "salamat",
+    "pwede", "puwede", "gusto", "ayaw", "sige", "tungkol", "anu", "nasaan", "ulit", "muna", "magandang",
+  ],
+  en: [
+    "the", "a", "an", "is", "are", "was", "were", "be", "been", "am", "do", "does", "did", "have", "has",
+    "i", "you", "he", "she", "it", "we", "they", "me", "my", "your", "our", "their", "his", "her",
+    "what", "who", "where", "when", "why", "how", "which", "whats", "what's", "it's", "i'm", "don't",
+    "this", "that", "these", "those", "there", "here", "today", "tomorrow", "yesterday",
+    "not", "no", "yes", "and", "or", "but", "because", "if", "of", "to", "for", "with", "about", "from",
+    "can", "could", "would", "should", "will", "please", "thanks", "tell", "give", "any", "some",
+  ],
+};
+
+const MARKER_SETS = Object.fromEntries(Object.entries(MARKERS).map(([lang, words]) => [lang, new Set(words)]));
+
+// Share of marker words that have to be Filipino for the utterance to count as Filipino
+const FILIPINO_SHARE = 0.3;
+const MIN_MARKERS = 2;
+
+// What STT providers call the languages we answer in
+const ALIASES = {
+  en: "en", eng: "en", english: "en",
+  fil: "fil", tl: "fil", tgl: "fil", tagalog: "fil", filipino: "fil",
+};
+
+// "en-US", "Tagalog", "tl" → "en" | "fil"; anything else → null
+function normalizeLanguage(code) {
+  if (typeof code !== "string") return null;
+  const lower = code.toLowerCase();
+  return ALIASES[lower] ?? ALIASES[lower.split(/[-_]/)[0]] ?? null;
+}
+
+// Counts marker words; returns { language, counts }, language null when there are too few to tell
+function classify(text) {
+  const words = String(text).toLowerCase().match(/[\p{L}']+/gu) ?? [];
+  const counts = { fil: 0, en: 0 };
+  for (const word of words) {
+    if (MARKER_SETS.fil.has(word)) counts.fil++;
+    if (MARKER_SETS.en.has(word)) counts.en++;
+  }
+
+  const total = counts.fil + counts.en;
+  // One-word utterances ("Salamat") are all the evidence there is
+  if (!total || (total < MIN_MARKERS && words.length > 1)) return { language: null, counts };
+  return { language: counts.fil / total >= FILIPINO_SHARE ? "fil" : "en", counts };
+}
+
+// The transcript's language: the classifier when it can tell, else what STT heard, else null
+function detectLanguage(text, { sttLanguage = null } = {}) {
+  const { language } = classify(text);
+  return language ?? normalizeLanguage(sttLanguage);
+}
+
+module.exports = { detectLanguage, classify, normalizeLanguage, MARKERS };
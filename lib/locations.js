@@ -0,0 +1,54 @@
+const fs = require("fs");
+const { isValidDeviceId } = require("./history");
+
+// === Home locations ===
+// Where each device lives, so "will it rain tomorrow?" needs no city. Set by voice ("set my
+// location to Cebu") or the admin API, kept in locations.json as geocoded places:
+//   { "kitchen": { "name": "Cebu City", "state": "Central Visayas", "country": "PH", "lat": 10.3, "lon": 123.9 } }
+
+const LOCATIONS_FILE = process.env.LOCATIONS_FILE || "locations.json";
+
+let store = null;
+
+function loadStore() {
+  if (store) return store;
+  try {
+    store = JSON.parse(fs.readFileSync(LOCATIONS_FILE, "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`⚠️ Failed to load ${LOCATIONS_FILE}:`, err);
+    store = {};
+  }
+  return store;
+}
+
+function saveStore() {
+  try {
+    fs.writeFileSync(LOCATIONS_FILE, JSON.stringify(store, null, 2));
+  } catch (err) {
+    console.error(`⚠️ Failed to save ${LOCATIONS_FILE}:`, err);
+  }
+}
+
+function getHome(deviceId) {
+  return loadStore()[deviceId] ?? null;
+}
+
+function setHome(deviceId, { name, state, country, lat, lon }) {
+  if (!isValidDeviceId(deviceId)) throw new Error(`Invalid device id: ${deviceId}`);
+  if (typeof name !== "string" || !Number.isFinite(lat) || !Number.isFinite(lon))
+    throw new Error("A home location needs a name, lat and lon");
+
+  const place = { name, state: state ?? null, country: country ?? null, lat, lon };
+  loadStore()[deviceId] = place;
+  saveStore();
+  return place;
+}
+
+function clearHome(deviceId) {
+  const existed = deviceId in loadStore();
+  delete store[deviceId];
+  if (existed) saveStore();
+  return existed;
+}
+
+module.exports = { getHome, setHome, clearHome, LOCATIONS_FILE };
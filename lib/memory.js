@@ -0,0 +1,181 @@
+const fs = require("fs");
+const { isValidDeviceId } = require("./history");
+
+// === Long-term memory ===
+// The conversation history only keeps the last few exchanges. What falls off the end is
+// folded into memory.json instead: a rolling summary of what was talked about, and durable
+// facts about the user ("my dog is Bantay", "I live in Cebu"):
+//   { "kitchen": { "summary": "They planned a trip to Bohol…", "facts": ["Their dog is named Bantay"],
+//                  "pending": [{ "role": "user", "content": "…" }], "updatedAt": 1760860800000 } }
+// Dropped messages wait in "pending" until there are enough to be worth a model call.
+
+const MEMORY_FILE = process.env.MEMORY_FILE || "memory.json";
+const SUMMARIZE_EVERY = 4; // dropped messages (two exchanges) per summarizing call
+const MAX_PENDING = 40; // kept while the model is unreachable; the oldest go first
+const MAX_FACTS = 30;
+const MAX_SUMMARY_CHARS = 1200;
+const PROMPT_FACTS = 8; // facts injected into one chat prompt
+
+const inFlight = new Map(); // deviceId → the consolidation already running for it
+let store = null;
+
+function loadStore() {
+  if (store) return store;
+  try {
+    store = JSON.parse(fs.readFileSync(MEMORY_FILE, "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`⚠️ Failed to load ${MEMORY_FILE}:`, err);
+    store = {};
+  }
+  return store;
+}
+
+function saveStore() {
+  try {
+    fs.writeFileSync(MEMORY_FILE, JSON.stringify(store, null, 2));
+  } catch (err) {
+    console.error(`⚠️ Failed to save ${MEMORY_FILE}:`, err);
+  }
+}
+
+function getMemory(deviceId) {
+  const entry = loadStore()[deviceId];
+  return { summary: entry?.summary ?? null, facts: [...(entry?.facts ?? [])], pending: entry?.pending?.length ?? 0 };
+}
+
+function entryFor(deviceId) {
+  if (!isValidDeviceId(deviceId)) throw new Error(`Invalid device id: ${deviceId}`);
+  return (loadStore()[deviceId] ??= { summary: null, facts: [], pending: [], updatedAt: null });
+}
+
+// Admin edits: replaces the facts (and the summary, when given)
+function setMemory(deviceId, { summary, facts }) {
+  if (!Array.isArray(facts) || !facts.every(fact => typeof fact === "string"))
+    throw new Error("facts must be an array of strings");
+  if (summary != null && typeof summary !== "string") throw new Error("summary must be a string");
+
+  const entry = entryFor(deviceId);
+  entry.facts = cleanFacts(facts);
+  if (summary !== undefined) entry.summary = summary?.trim().slice(0, MAX_SUMMARY_CHARS) || null;
+  entry.updatedAt = Date.now();
+  saveStore();
+  return getMemory(deviceId);
+}
+
+function forget(deviceId) {
+  const existed = deviceId in loadStore();
+  delete store[deviceId];
+  if (existed) saveStore();
+  return existed;
+}
+
+function cleanFacts(facts) {
+  const seen = new Set();
+  return facts
+    .map(fact => String(fact).replace(/\s+/g, " ").trim())
+    .filter(fact => fact && !seen.has(fact.toLowerCase()) && seen.add(fact.toLowerCase()))
+    .slice(-MAX_FACTS);
+}
+
+const strings = list => (Array.isArray(list) ? list.filter(item => typeof item === "string") : []);
+
+// Known facts stay unless the model names them as outdated; new ones are added after them
+function mergeFacts(known, added, outdated) {
+  const dropped = new Set(outdated.map(fact => fact.trim().toLowerCase()));
+  return cleanFacts([...known.filter(fact => !dropped.has(fact.toLowerCase())), ...added]);
+}
+
+// --- Recall: the facts that matter for what was just said ---
+const STOPWORDS = new Set(("a an and are as at be but by do for from has have i in is it its me my of on or so that the " +
+  "their them they this to was what when where who why will with you your ako ang ay ba ko mga na ng ni po sa si yung").split(" "));
+
+const words = text => new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu)?.filter(word => word.length > 2 && !STOPWORDS.has(word)));
+
+// The summary, plus every fact when there are few; otherwise the ones sharing the most words
+// with `text`, newest first on ties
+function recall(deviceId, text = "") {
+  const { summary, facts } = getMemory(deviceId);
+  if (facts.length <= PROMPT_FACTS) return { summary, facts };
+
+  const asked = words(text);
+  const relevant = facts
+    .map((fact, index) => ({ fact, index, score: [...words(fact)].filter(word => asked.has(word)).length }))
+    .sort((a, b) => b.score - a.score || b.index - a.index)
+    .slice(0, PROMPT_FACTS)
+    .sort((a, b) => a.index - b.index)
+    .map(({ fact }) => fact);
+  return { summary, facts: relevant };
+}
+
+// --- Consolidation: dropped turns → summary + facts ---
+const CONSOLIDATE_PROMPT = `You maintain the long-term memory of a voice assistant about one household.
+You get what you remembered so far and some older conversation that is about to be forgotten.
+Reply with a JSON object:
+- "summary": a short rolling summary (at most 5 sentences) of what was talked about, updated with the new conversation.
+- "facts": new durable facts about the user from this conversation worth remembering later (their name, family, pets, where they live, preferences, routines), one short sentence each, in the language they were said in. Leave out facts already known, passing details, questions and anything the assistant said about itself.
+- "forget": known facts, copied exactly, that this conversation shows are no longer true (say, an old city when they moved). Usually empty.`;
+
+const transcript = messages => messages
+  .map(({ role, content }) => `${role === "user" ? "User" : "Assistant"}: ${content}`)
+  .join("\n");
+
+async function consolidate(deviceId, openai) {
+  const entry = entryFor(deviceId);
+  const batch = entry.pending;
+  entry.pending = [];
+
+  try {
+    const gptResponse = await openai.chat.completions.create({
+      model: "gpt-4o-mini",
+      response_format: { type: "json_object" },
+      messages: [
+        { role: "system", content: CONSOLIDATE_PROMPT },
+        {
+          role: "user",
+          content: [
+            `Summary so far: ${entry.summary ?? "(none)"}`,
+            `Known facts:\n${entry.facts.map(fact => `- ${fact}`).join("\n") || "(none)"}`,
+            `Conversation to fold in:\n${transcript(batch)}`,
+          ].join("\n\n"),
+        },
+      ],
+    });
+    const { summary, facts, forget: outdated } = JSON.parse(gptResponse.choices[0].message.content || "{}");
+    if (typeof summary === "string" && summary.trim()) entry.summary = summary.trim().slice(0, MAX_SUMMARY_CHARS);
+    entry.facts = mergeFacts(entry.facts, strings(facts), strings(outdated));
+    entry.updatedAt = Date.now();
+    console.log(`🧠 Memory for ${deviceId}: ${batch.length} messages folded in, ${entry.facts.length} facts`);
+  } catch (err) {
+    // Try again with the next batch
+    entry.pending = [...batch, ...entry.pending].slice(-MAX_PENDING);
+    console.error(`⚠️ Failed to update memory for ${deviceId}:`, err.message);
+  }
+  saveStore();
+}
+
+// Queues the messages history just dropped; once enough are waiting, folds them into the
+// device's memory with `openai`. Resolves when that's done (callers needn't wait).
+function remember(deviceId, dropped, { openai }) {
+  if (dropped.length) {
+    const entry = entryFor(deviceId);
+    entry.pending = [...entry.pending, ...dropped].slice(-MAX_PENDING);
+    saveStore();
+  }
+  if (inFlight.has(deviceId)) return inFlight.get(deviceId);
+  if ((loadStore()[deviceId]?.pending.length ?? 0) < SUMMARIZE_EVERY) return Promise.resolve();
+
+  const running = consolidate(deviceId, openai).finally(() => inFlight.delete(deviceId));
+  inFlight.set(deviceId, running);
+  return running;
+}
+
+module.exports = {
+  getMemory,
+  setMemory,
+  forget,
+  recall,
+  remember,
+  MEMORY_FILE,
+  SUMMARIZE_EVERY,
+  PROMPT_FACTS,
+};
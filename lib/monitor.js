@@ -0,0 +1,52 @@
+const { EventEmitter } = require("events");
+
+// === Live activity feed for the dashboard ===
+// Servers publish what happens on their device connections (connects, what each device was
+// told, new replay audio); dashboards subscribe. The last events and errors are kept in
+// memory so a freshly opened dashboard isn't blank.
+
+const MAX_EVENTS = 200;
+const MAX_ERRORS = 50; // kept apart so chatty devices don't push errors out of the history
+
+// Frames worth showing; hello and the TTS events are noise on a dashboard
+const FRAME_TYPES = ["transcript", "reply", "notification", "status", "config", "error"];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+const events = [];
+const errors = [];
+
+function remember(list, event, max) {
+  list.push(event);
+  if (list.length > max) list.shift();
+}
+
+function publish(event) {
+  const stamped = { at: new Date().toISOString(), ...event };
+  remember(events, stamped, MAX_EVENTS);
+  if (stamped.frame?.type === "error") remember(errors, stamped, MAX_ERRORS);
+  bus.emit("event", stamped);
+  return stamped;
+}
+
+// Channel `onSend` hook: mirrors what a device was sent
+function recordFrame(session, frame) {
+  if (!FRAME_TYPES.includes(frame.type)) return;
+  publish({ type: "frame", session: session.id, deviceId: session.deviceId, frame });
+}
+
+// Returns an unsubscribe function
+function subscribe(listener) {
+  bus.on("event", listener);
+  return () => bus.off("event", listener);
+}
+
+function recentEvents() {
+  return [...events];
+}
+
+function recentErrors() {
+  return [...errors];
+}
+
+module.exports = { publish, recordFrame, subscribe, recentEvents, recentErrors };
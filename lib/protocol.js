@@ -0,0 +1,260 @@
+// === Device protocol ===
+// Text frames are JSON objects with a "type"; binary frames are audio (recordings up,
+// TTS audio down). A device opens with a hello listing the versions it speaks and the
+// server answers with the one it picked:
+//   → { "type": "hello", "versions": [1], "device_id": "kitchen" }
+//   ← { "type": "hello", "version": 1, "session": "3" }
+//
+// device → server   hello · config · audio_start · audio_end
+// server → device   hello · config · status · transcript · reply · notification · tts · error
+//
+// Every frame is checked against SCHEMAS in both directions. Firmware that never says hello
+// is spoken to in version 0: its bare strings ("START", "END", {"cmd":"SET_CONFIG",…}) are
+// translated on the way in, and frames go out in the shapes it already understands
+// ("PROCESSING", "CONFIG_OK", {type:"tts_url"}…).
+
+const LEGACY_VERSION = 0;
+const SUPPORTED_VERSIONS = [1];
+
+const string = { type: "string" };
+const integer = { type: "integer" };
+const boolean = { type: "boolean" };
+const required = field => ({ ...field, required: true });
+
+const CONFIG_FIELDS = {
+  voice: string,
+  prompt: string,
+  device_id: string,
+  stt_mode: string,
+  vad: boolean,
+  sample_rate: integer,
+  channels: integer,
+  tts: { type: "object" },
+  language: string,
+  skills: { type: "array", of: string },
+};
+
+// Message type → fields, per sender
+const SCHEMAS = {
+  hello: {
+    device: { versions: required({ type: "array", of: integer }), device_id: string, firmware: string },
+    server: { version: required(integer), session: string },
+  },
+  config: { device: CONFIG_FIELDS, server: CONFIG_FIELDS },
+  audio_start: { device: {} },
+  audio_end: { device: {} },
+  status: {
+    server: {
+      state: required({ type: "string", enum: ["config_ok", "processing", "speech_start", "speech_end"] }),
+      reason: string,
+    },
+  },
+  transcript: { server: { text: required(string), partial: boolean } },
+  reply: { server: { text: required(string), skill: string, language: string } },
+  // Unprompted: a reminder, timer or alarm going off (spoken right after, like a reply)
+  notification: { server: { id: required(string), kind: required(string), text: required(string), language: string } },
+  tts: {
+    server: {
+      event: required({ type: "string", enum: ["start", "sentence", "end", "url", "file"] }),
+      format: string,
+      sample_rate: integer,
+      index: integer,
+      text: string,
+      sentences: integer,
+      bytes: integer,
+      url: string,
+      name: string,
+    },
+  },
+  error: { server: { code: required(string), msg: required(string), reason: string } },
+};
+
+const LEGACY_COMMANDS = { START: "audio_start", END: "audio_end" };
+const LEGACY_STATUS = { config_ok: "CONFIG_OK", processing: "PROCESSING" };
+
+class ProtocolError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = "BAD_MESSAGE";
+    this.reason = reason;
+  }
+
+  // Structured frame sent back to the device
+  toFrame() {
+    return { type: "error", code: this.code, reason: this.reason, msg: this.message };
+  }
+}
+
+function matches(value, field) {
+  switch (field.type) {
+    case "string":
+      if (typeof value !== "string") return false;
+      break;
+    case "integer":
+      if (!Number.isInteger(value)) return false;
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return false;
+      break;
+    case "object":
+      if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+      break;
+    case "array":
+      if (!Array.isArray(value) || (field.of && !value.every(item => matches(item, field.of)))) return false;
+      break;
+  }
+  return !field.enum || field.enum.includes(value);
+}
+
+function describe(field) {
+  if (field.enum) return `one of ${field.enum.join(", ")}`;
+  return field.of ? `an array of ${field.of.type}s` : `${/^[aeiou]/.test(field.type) ? "an" : "a"} ${field.type}`;
+}
+
+// Throws a ProtocolError unless `frame` is a valid message from `sender` ("device" | "server")
+function validate(frame, sender) {
+  const spec = SCHEMAS[frame.type]?.[sender];
+  if (!spec) throw new ProtocolError("unknown_type", `Unknown ${sender} message type "${frame.type}"`);
+
+  for (const [name, value] of Object.entries(frame)) {
+    if (name === "type" || value === undefined) continue;
+    const field = spec[name];
+    if (!field) throw new ProtocolError("unknown_field", `"${frame.type}" has no field "${name}"`);
+    if (!matches(value, field)) throw new ProtocolError("invalid_field", `"${frame.type}.${name}" must be ${describe(field)}`);
+  }
+  for (const [name, field] of Object.entries(spec)) {
+    if (field.required && frame[name] === undefined)
+      throw new ProtocolError("missing_field", `"${frame.type}" needs "${name}"`);
+  }
+  return frame;
+}
+
+function parseJson(text) {
+  let frame;
+  try {
+    frame = JSON.parse(text);
+  } catch {
+    throw new ProtocolError("invalid_json", "Text frames must be JSON");
+  }
+  if (!frame || typeof frame !== "object" || Array.isArray(frame))
+    throw new ProtocolError("invalid_json", "Text frames must be JSON objects");
+  return frame;
+}
+
+// Old firmware → v1 message (null for chatter the old servers ignored too). `json` is the
+// already-parsed frame when the text was JSON.
+function fromLegacy(text, json) {
+  if (LEGACY_COMMANDS[text]) return { type: LEGACY_COMMANDS[text] };
+  if (json?.cmd !== "SET_CONFIG") return null;
+
+  // Old SET_CONFIG payloads carried extras and nulls; keep only what config knows about
+  const config = { type: "config" };
+  for (const [name, value] of Object.entries(json)) {
+    if (CONFIG_FIELDS[name] && value !== null) config[name] = value;
+  }
+  return validate(config, "device");
+}
+
+// v1 frame → what old firmware expects (null to drop it). Types in `asText` went out as bare
+// text (partial transcripts never did).
+function toLegacy({ type, ...payload }, asText) {
+  if (asText.includes(type) && !payload.partial) return payload.text;
+
+  switch (type) {
+    case "status":
+      if (LEGACY_STATUS[payload.state]) return LEGACY_STATUS[payload.state];
+      return JSON.stringify({ type: "vad", event: payload.state, reason: payload.reason });
+    case "tts": {
+      const { event, ...rest } = payload;
+      return JSON.stringify({ type: `tts_${event}`, ...rest });
+    }
+    case "transcript":
+    case "error":
+      return JSON.stringify({ type, ...payload });
+    default:
+      return null; // hello, reply, notification and config pushes are v1 only
+  }
+}
+
+// Wraps one device socket: receive() turns text frames into validated messages (answering
+// hellos itself), send() validates and encodes for whatever version was negotiated.
+// `onSend(frame)` sees every outgoing frame after validation, whatever the device's version
+function createChannel(ws, { sessionId, legacyText = [], onSend = null } = {}) {
+  let version = LEGACY_VERSION;
+
+  function negotiate({ versions }) {
+    const common = versions.filter(v => SUPPORTED_VERSIONS.includes(v));
+    if (!common.length)
+      throw new ProtocolError("unsupported_version", `Supported protocol versions: ${SUPPORTED_VERSIONS.join(", ")}`);
+    version = Math.max(...common);
+  }
+
+  return {
+    ws,
+
+    get version() {
+      return version;
+    },
+
+    get legacy() {
+      return version === LEGACY_VERSION;
+    },
+
+    get isOpen() {
+      return ws.readyState === ws.OPEN;
+    },
+
+    receive(data) {
+      const text = data.toString();
+      const json = text.startsWith("{") ? parseJson(text) : null;
+
+      if (version === LEGACY_VERSION && json?.type === undefined) {
+        const msg = fromLegacy(text, json);
+        if (!msg) console.log("💬 Ignoring message:", text);
+        return msg;
+      }
+
+      const msg = validate(json ?? parseJson(text), "device");
+      if (msg.type === "hello") {
+        negotiate(msg);
+        console.log(`🤝 Protocol v${version}${msg.firmware ? ` (firmware ${msg.firmware})` : ""}`);
+        this.send("hello", { version, session: sessionId });
+      } else if (version === LEGACY_VERSION) {
+        throw new ProtocolError("hello_required", "Send a hello before other typed messages");
+      }
+      return msg;
+    },
+
+    send(type, payload = {}) {
+      const frame = validate({ type, ...payload }, "server");
+      if (!this.isOpen) return false;
+      onSend?.(frame);
+
+      const encoded = version === LEGACY_VERSION ? toLegacy(frame, legacyText) : JSON.stringify(frame);
+      if (encoded != null) ws.send(encoded);
+      return true;
+    },
+
+    // Errors with a toFrame() (WavError, ProtocolError) keep their code; anything else is INTERNAL
+    sendError(err, msg = err.message) {
+      const { type, ...frame } = typeof err.toFrame === "function" ? err.toFrame() : { code: "INTERNAL", msg };
+      return this.send("error", frame);
+    },
+
+    sendBinary(buffer) {
+      if (!this.isOpen) return false;
+      ws.send(buffer);
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  createChannel,
+  validate,
+  ProtocolError,
+  SCHEMAS,
+  SUPPORTED_VERSIONS,
+  LEGACY_VERSION,
+};
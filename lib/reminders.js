@@ -0,0 +1,165 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { isValidDeviceId } = require("./history");
+
+// === Reminders, timers and alarms ===
+// Everything a device asked to be told later, kept in reminders.json so a restart loses none:
+//   { "kitchen": [{ "id": "1f0c…", "kind": "timer", "text": null, "dueAt": 1760860800000,
+//                   "durationMs": 1200000, "language": "en", "createdAt": …, "firedAt": null }] }
+// createScheduler() fires them. A due item is handed to `deliver`; if its device isn't there
+// to hear it, it stays queued (firedAt set) until flush() is called for that device.
+
+const REMINDERS_FILE = process.env.REMINDERS_FILE || "reminders.json";
+const KINDS = ["reminder", "timer", "alarm"];
+const MAX_PER_DEVICE = 50;
+const MAX_WAIT_MS = 60 * 60 * 1000; // setTimeout can't wait weeks; far-off items are re-checked hourly
+
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+let store = null;
+
+function loadStore() {
+  if (store) return store;
+  try {
+    store = JSON.parse(fs.readFileSync(REMINDERS_FILE, "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`⚠️ Failed to load ${REMINDERS_FILE}:`, err);
+    store = {};
+  }
+  return store;
+}
+
+function saveStore() {
+  try {
+    fs.writeFileSync(REMINDERS_FILE, JSON.stringify(store, null, 2));
+  } catch (err) {
+    console.error(`⚠️ Failed to save ${REMINDERS_FILE}:`, err);
+  }
+}
+
+class ReminderError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ReminderError";
+    this.code = code;
+  }
+}
+
+// Everything for a device, queued ones included, soonest first
+function listReminders(deviceId) {
+  return [...(loadStore()[deviceId] ?? [])];
+}
+
+// Still waiting to go off, optionally only one kind
+function pendingReminders(deviceId, { kind = null } = {}) {
+  return listReminders(deviceId).filter(item => !item.firedAt && (!kind || item.kind === kind));
+}
+
+function addReminder(deviceId, { kind, text = null, dueAt, durationMs = null, language = "en" }) {
+  if (!isValidDeviceId(deviceId)) throw new ReminderError("invalid_device", `Invalid device id: ${deviceId}`);
+  if (!KINDS.includes(kind)) throw new ReminderError("invalid_kind", `kind must be one of ${KINDS.join(", ")}`);
+  if (!Number.isFinite(dueAt)) throw new ReminderError("invalid_time", "dueAt must be a timestamp");
+
+  const items = (loadStore()[deviceId] ??= []);
+  if (items.length >= MAX_PER_DEVICE) throw new ReminderError("too_many", `${deviceId} already has ${MAX_PER_DEVICE} reminders`);
+
+  const item = { id: crypto.randomUUID(), kind, text, dueAt, durationMs, language, createdAt: Date.now(), firedAt: null };
+  items.push(item);
+  items.sort((a, b) => a.dueAt - b.dueAt);
+  saveStore();
+  changes.emit("change", deviceId);
+  return item;
+}
+
+// Removes the given ids (all pending ones of `kind` when no ids); returns what was removed
+function cancelReminders(deviceId, { ids = null, kind = null } = {}) {
+  const items = loadStore()[deviceId] ?? [];
+  const cancelled = items.filter(item => (ids ? ids.includes(item.id) : !item.firedAt && (!kind || item.kind === kind)));
+  if (!cancelled.length) return [];
+
+  store[deviceId] = items.filter(item => !cancelled.includes(item));
+  if (!store[deviceId].length) delete store[deviceId];
+  saveStore();
+  changes.emit("change", deviceId);
+  return cancelled;
+}
+
+// Fires due items through `deliver(deviceId, item)`, which resolves true once the device was
+// told; false (device offline or busy) keeps the item queued for flush()
+function createScheduler({ deliver, now = Date.now }) {
+  let timer = null;
+  const inFlight = new Set();
+
+  async function fire(deviceId, item) {
+    if (inFlight.has(item.id)) return;
+    inFlight.add(item.id);
+    try {
+      if (!item.firedAt) {
+        item.firedAt = now();
+        saveStore();
+      }
+      let delivered = false;
+      try {
+        delivered = await deliver(deviceId, item);
+      } catch (err) {
+        console.error(`⚠️ Failed to deliver ${item.kind} ${item.id} to ${deviceId}:`, err);
+      }
+      if (delivered) cancelReminders(deviceId, { ids: [item.id] });
+      else console.log(`📥 ${item.kind} for ${deviceId} queued until it's back`);
+    } finally {
+      inFlight.delete(item.id);
+    }
+  }
+
+  async function tick() {
+    timer = null;
+    const due = Object.entries(loadStore()).flatMap(([deviceId, items]) =>
+      items.filter(item => !item.firedAt && item.dueAt <= now()).map(item => [deviceId, item]));
+    await Promise.all(due.map(([deviceId, item]) => fire(deviceId, item)));
+    arm();
+  }
+
+  // One timer, for whatever is due next
+  function arm() {
+    clearTimeout(timer);
+    timer = null;
+    const next = Object.values(loadStore()).flat().filter(item => !item.firedAt)
+      .reduce((soonest, item) => Math.min(soonest, item.dueAt), Infinity);
+    if (next === Infinity) return;
+    timer = setTimeout(() => tick().catch(err => console.error("⚠️ Reminder scheduler error:", err)),
+      Math.min(Math.max(next - now(), 0), MAX_WAIT_MS));
+    timer.unref?.();
+  }
+
+  return {
+    start() {
+      changes.on("change", arm);
+      arm();
+    },
+
+    stop() {
+      changes.off("change", arm);
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    // Delivers whatever fired while the device was away
+    async flush(deviceId) {
+      const queued = listReminders(deviceId).filter(item => item.firedAt);
+      for (const item of queued) await fire(deviceId, item);
+    },
+  };
+}
+
+module.exports = {
+  addReminder,
+  cancelReminders,
+  listReminders,
+  pendingReminders,
+  createScheduler,
+  ReminderError,
+  KINDS,
+  MAX_PER_DEVICE,
+  REMINDERS_FILE,
+};
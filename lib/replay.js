@@ -0,0 +1,43 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// === Last recording / last TTS output per device ===
+// Session recordings and rendered TTS files are deleted as soon as they're done with, so a
+// copy of the latest of each is kept here for the dashboard to play back. Only the newest
+// one per device survives, and only until the server restarts.
+
+const REPLAY_DIR = path.resolve(process.env.REPLAY_DIR || path.join(os.tmpdir(), "terracloud-replay"));
+const REPLAY_KINDS = ["recording", "tts"];
+
+fs.mkdirSync(REPLAY_DIR, { recursive: true });
+
+const latest = new Map(); // `${deviceId}/${kind}` → { deviceId, kind, file, mime, text, savedAt }
+
+function remember(deviceId, kind, entry) {
+  latest.set(`${deviceId}/${kind}`, { deviceId, kind, ...entry, savedAt: new Date().toISOString() });
+}
+
+async function saveRecording(deviceId, audioPath) {
+  const file = path.join(REPLAY_DIR, `${deviceId}-recording.wav`);
+  await fs.promises.copyFile(audioPath, file);
+  remember(deviceId, "recording", { file, mime: "audio/wav", text: null });
+}
+
+// Takes what tts.speak() hands to its onAudio hook
+async function saveSpeech(deviceId, audio, { ext, mime, text = null }) {
+  const file = path.join(REPLAY_DIR, `${deviceId}-tts.${ext}`);
+  await fs.promises.writeFile(file, audio);
+  remember(deviceId, "tts", { file, mime, text });
+}
+
+function getReplay(deviceId, kind) {
+  return latest.get(`${deviceId}/${kind}`) ?? null;
+}
+
+// What can be replayed, without the file paths
+function listReplays() {
+  return [...latest.values()].map(({ deviceId, kind, text, savedAt }) => ({ deviceId, kind, text, savedAt }));
+}
+
+module.exports = { saveRecording, saveSpeech, getReplay, listReplays, REPLAY_KINDS, REPLAY_DIR };
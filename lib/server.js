@@ -0,0 +1,715 @@
+const express = require("express");
+const http = require("http");
+const path = require("path");
+const WebSocket = require("ws");
+const { createSession, listSessions } = require("./session");
+const history = require("./history");
+const { createSkillRouter, loadSkills } = require("./skills");
+const { createTranscriber } = require("./stt");
+const { createLiveTranscriber } = require("./stt/deepgram-live");
+const { createVad } = require("./vad");
+const { createTtsService, parseOutputConfig, DEFAULT_OUTPUT } = require("./tts");
+const { createWavHeader, validateFormat, HEADER_SIZE } = require("./wav");
+const { createChannel, ProtocolError } = require("./protocol");
+const auth = require("./auth");
+const usage = require("./usage");
+const settings = require("./settings");
+const { createServices } = require("./services");
+const monitor = require("./monitor");
+const replay = require("./replay");
+const { loadConfig, STT_MODES } = require("./config");
+const { detectLanguage } = require("./language");
+const i18n = require("./i18n");
+const locations = require("./locations");
+const reminders = require("./reminders");
+const memory = require("./memory");
+const remindersSkill = require("./skills/reminders");
+
+// === TerraCloud server ===
+// The ESP32 WebSocket endpoint plus the admin API, dashboard and test client, with its
+// behavior (STT, TTS, persona, skills, greeting, port) taken from lib/config.js.
+
+// Reply text when nothing is spoken: a string, or the deltas of a streamed reply joined up
+async function joinDeltas(text) {
+  if (typeof text === "string") return text;
+  let joined = "";
+  for await (const delta of text) joined += delta;
+  return joined.trim();
+}
+
+function createServer(config = loadConfig()) {
+  // OpenAI, Deepgram, NewsData and OpenWeatherMap clients (base URLs from the env, see lib/services)
+  const services = createServices();
+  const { openai } = services;
+  const skills = createSkillRouter(loadSkills(), { mode: config.intentMode });
+  const transcriber = createTranscriber({ ...services, provider: config.stt.provider, fallback: config.stt.fallback ?? undefined });
+  const tts = createTtsService({ openai, backend: config.tts.backend, voice: config.assistant.voice });
+
+  const skillNames = skills.list().map(skill => skill.name);
+  const unknownSkill = settings.validateSettings({ skills: config.assistant.skills }, { skillNames });
+  if (unknownSkill) throw new Error(`Invalid configuration: assistant: ${unknownSkill}`);
+
+  // Devices get this TTS output unless they ask otherwise in SET_CONFIG "tts"
+  const DEFAULT_TTS_OUTPUT = { ...DEFAULT_OUTPUT, delivery: config.tts.delivery, codec: config.tts.codec };
+
+  // "batch" transcribes the whole recording on END; "stream" forwards frames live to Deepgram
+  const DEFAULT_STT_MODE = config.stt.mode;
+
+  // === EXPRESS + WEBSOCKET SERVER ===
+  const app = express();
+  const server = http.createServer(app);
+
+  app.get("/", (req, res) => res.send("✅ TerraCloud WebSocket server is live!"));
+
+  // Rendered TTS files for "url" delivery (expire after a few minutes)
+  app.use("/tts", express.static(tts.outputDir));
+
+  // Operator dashboard (the page itself is public; its API calls and feed need the admin token)
+  app.use("/dashboard", express.static(path.join(__dirname, "..", "public", "dashboard")));
+
+  // Browser stand-in for an ESP32, for testing without flashing one (uses a device token like one)
+  app.use("/client", express.static(path.join(__dirname, "..", "public", "client")));
+
+  // Disable compression for reliable binary; device tokens are checked during the upgrade
+  const wss = new WebSocket.Server({ noServer: true, perMessageDeflate: false, verifyClient: auth.verifyClient });
+  const dashboardWss = new WebSocket.Server({ noServer: true });
+
+  // Devices may connect on any path; /dashboard/ws is the browser feed
+  server.on("upgrade", (req, socket, head) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const target = pathname === "/dashboard/ws" ? dashboardWss : wss;
+    target.handleUpgrade(req, socket, head, ws => target.emit("connection", ws, req));
+  });
+
+  // === Device pairing ===
+  // Admin token or PAIRING_CODE in the body; the token is only ever shown in this response
+  app.post("/devices/register", express.json(), (req, res) => {
+    const { device_id: deviceId, name } = req.body ?? {};
+    const refusal = auth.registrationRefusal(req, deviceId);
+    if (refusal) return res.status(refusal.status).json({ error: refusal.error });
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+
+    const token = auth.registerDevice(deviceId, { name });
+    console.log(`🔑 Registered device ${deviceId}`);
+    res.status(201).json({ deviceId, token });
+  });
+
+  app.get("/devices/registered", auth.requireAdmin, (req, res) => res.json(auth.listRegistered()));
+
+  app.delete("/devices/:deviceId/token", auth.requireAdmin, (req, res) => {
+    const { deviceId } = req.params;
+    const revoked = auth.revokeDevice(deviceId);
+
+    // Kick any connection still using the revoked token
+    for (const session of listSessions()) {
+      if (session.pairedDeviceId === deviceId) session.ws.close(auth.CLOSE_CODES.REVOKED, "Device revoked");
+    }
+    console.log(`🔒 Revoked device ${deviceId}`);
+    res.json({ deviceId, revoked });
+  });
+
+  // === Admin API: connected devices and live settings ===
+  function describeSession(session) {
+    return {
+      session: session.id,
+      deviceId: session.deviceId,
+      paired: Boolean(session.pairedDeviceId),
+      state: session.state,
+      protocol: session.channel?.version ?? null,
+      connectedAt: new Date(session.connectedAt).toISOString(),
+    };
+  }
+
+  app.get("/devices/connected", auth.requireAdmin, (req, res) => res.json(listSessions().map(describeSession)));
+
+  app.get("/skills", auth.requireAdmin, (req, res) => res.json(skills.list()));
+
+  app.get("/devices/:deviceId/config", auth.requireAdmin, (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    res.json({ deviceId, settings: settings.resolveSettings(deviceId), overrides: settings.getOverrides(deviceId) });
+  });
+
+  // Body: any of { voice, prompt, language, skills }; null clears an override
+  app.patch("/devices/:deviceId/config", auth.requireAdmin, express.json(), (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    const patch = req.body ?? {};
+    const error = settings.validateSettings(patch, { skillNames });
+    if (error) return res.status(400).json({ error });
+
+    const overrides = settings.updateSettings(deviceId, patch);
+    console.log(`🛠️ Settings updated for ${deviceId}:`, Object.keys(patch).join(", "));
+
+    // Already-connected devices pick the change up right away
+    let pushed = 0;
+    for (const session of listSessions()) {
+      if (session.deviceId !== deviceId || !session.channel) continue;
+      const { skills: enabledSkills, ...assistant } = deviceSettings(session);
+      session.channel.send("config", { ...assistant, skills: enabledSkills ?? undefined }); // no list = all skills
+      pushed++;
+    }
+    res.json({ deviceId, settings: settings.resolveSettings(deviceId), overrides, pushed });
+  });
+
+  // === Usage API ===
+  app.get("/usage", auth.requireAdmin, (req, res) => res.json(usage.listUsage()));
+
+  app.get("/devices/:deviceId/usage", auth.requireAdmin, (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    res.json(usage.getUsage(deviceId));
+  });
+
+  // === Home locations (what the weather skill uses when no place is named) ===
+  app.get("/devices/:deviceId/location", auth.requireAdmin, (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    res.json({ deviceId, location: locations.getHome(deviceId) });
+  });
+
+  // Body: { city } to geocode (Philippine matches first), or { name, lat, lon[, state, country] }
+  app.put("/devices/:deviceId/location", auth.requireAdmin, express.json(), async (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    let place = req.body ?? {};
+
+    if (typeof place.city === "string") {
+      if (!services.weather.configured) return res.status(503).json({ error: "No weather API key to geocode with" });
+      try {
+        const found = await services.weather.geocode(place.city);
+        place = found.find(candidate => candidate.country === "PH") ?? found[0];
+      } catch (err) {
+        console.error("🌩️ Geocoding failed:", err);
+        return res.status(502).json({ error: "Geocoding failed" });
+      }
+      if (!place) return res.status(404).json({ error: `No place called ${req.body.city}` });
+    }
+
+    try {
+      const location = locations.setHome(deviceId, place);
+      console.log(`🏠 Home location for ${deviceId}: ${location.name}`);
+      res.json({ deviceId, location });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.delete("/devices/:deviceId/location", auth.requireAdmin, (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    res.json({ deviceId, cleared: locations.clearHome(deviceId) });
+  });
+
+  // === Reminders, timers and alarms (queued ones included) ===
+  app.get("/devices/:deviceId/reminders", auth.requireAdmin, (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    res.json({ deviceId, reminders: reminders.listReminders(deviceId) });
+  });
+
+  app.delete("/devices/:deviceId/reminders/:id", auth.requireAdmin, (req, res) => {
+    const { deviceId, id } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    const [cancelled] = reminders.cancelReminders(deviceId, { ids: [id] });
+    if (!cancelled) return res.status(404).json({ error: `No reminder ${id} for ${deviceId}` });
+    res.json({ deviceId, cancelled });
+  });
+
+  // === Long-term memory (rolling summary and facts the chat prompt draws on) ===
+  app.get("/devices/:deviceId/memory", auth.requireAdmin, (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    res.json({ deviceId, memory: memory.getMemory(deviceId) });
+  });
+
+  // Body: { facts: [...] [, summary] } — replaces what the device remembers
+  app.put("/devices/:deviceId/memory", auth.requireAdmin, express.json(), (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    try {
+      res.json({ deviceId, memory: memory.setMemory(deviceId, req.body ?? {}) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.delete("/devices/:deviceId/memory", auth.requireAdmin, (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    const cleared = memory.forget(deviceId);
+    console.log(`🧹 Cleared memory for ${deviceId}`);
+    res.json({ deviceId, cleared });
+  });
+
+  // === Replay: the device's last upload and the last thing it was told ===
+  app.get("/devices/:deviceId/replay/:kind", auth.requireAdmin, (req, res) => {
+    const { deviceId, kind } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    if (!replay.REPLAY_KINDS.includes(kind)) return res.status(404).json({ error: "Unknown replay" });
+
+    const entry = replay.getReplay(deviceId, kind);
+    if (!entry) return res.status(404).json({ error: `No ${kind} yet for ${deviceId}` });
+    res.type(entry.mime).sendFile(entry.file);
+  });
+
+  // === Dashboard feed ===
+  // A snapshot of connected devices and recent activity, then every event as it happens
+  dashboardWss.on("connection", (ws, req) => {
+    if (!auth.isAdminUpgrade(req)) {
+      ws.close(auth.CLOSE_CODES.UNAUTHORIZED, "Unauthorized");
+      return;
+    }
+
+    ws.send(JSON.stringify({
+      type: "snapshot",
+      devices: listSessions().map(describeSession),
+      events: monitor.recentEvents(),
+      errors: monitor.recentErrors(),
+      replays: replay.listReplays(),
+    }));
+    const unsubscribe = monitor.subscribe(event => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+    });
+    ws.on("close", unsubscribe);
+    console.log("📊 Dashboard connected");
+  });
+
+  function publishDevice(type, session) {
+    monitor.publish({ type, session: session.id, deviceId: session.deviceId, device: describeSession(session) });
+  }
+
+  function keepForReplay(session, kind, saving) {
+    const { deviceId } = session;
+    saving
+      .then(() => monitor.publish({ type: "replay", session: session.id, deviceId, kind }))
+      .catch(err => console.error(`⚠️ Failed to keep ${kind} for replay:`, err));
+  }
+
+  // === Conversation history API ===
+  app.get("/devices", auth.requireAdmin, (req, res) => res.json(history.listDevices()));
+
+  app.get("/devices/:deviceId/history", auth.requireAdmin, (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    res.json({ deviceId, messages: history.getHistory(deviceId) });
+  });
+
+  app.delete("/devices/:deviceId/history", auth.requireAdmin, (req, res) => {
+    const { deviceId } = req.params;
+    if (!history.isValidDeviceId(deviceId)) return res.status(400).json({ error: "Invalid device id" });
+    const cleared = history.clearHistory(deviceId);
+    console.log(`🧹 Cleared history for ${deviceId}`);
+    res.json({ deviceId, cleared });
+  });
+
+  // === Text-to-Speech ===
+  // The server's defaults < what the device asked for in its config < admin overrides
+  function deviceSettings(session) {
+    return settings.resolveSettings(session.deviceId, { ...config.assistant, ...session.deviceConfig });
+  }
+
+  async function speak(session, text) {
+    if (!config.tts.enabled) return joinDeltas(text);
+    const { text: spoken, synthesized } = await tts.speak(session.channel, text, {
+      voice: deviceSettings(session).voice,
+      output: session.ttsOutput,
+      baseUrl: session.baseUrl,
+      onAudio: (audio, info) => keepForReplay(session, "tts", replay.saveSpeech(session.deviceId, audio, info)),
+    });
+    usage.recordTts(session.deviceId, synthesized);
+    return spoken;
+  }
+
+  // === Conversation memory ===
+  // The exchange goes into the short history; whatever that pushes out is summarized in the
+  // background (billed to the device, like the turn itself)
+  function saveExchange(session, userText, reply, meteredOpenai) {
+    const dropped = history.appendExchange(session.deviceId, userText, reply);
+    memory.remember(session.deviceId, dropped, { openai: meteredOpenai })
+      .catch(err => console.error("⚠️ Failed to update memory:", err));
+  }
+
+  // === Reminders: said on whichever connection the device has open once it's idle ===
+  // Nobody to tell (offline, still starting up, or mid-turn) keeps the item queued; it's
+  // flushed when the device is ready again.
+  const scheduler = reminders.createScheduler({ deliver: deliverReminder });
+
+  async function deliverReminder(deviceId, item) {
+    const session = listSessions().find(s => s.deviceId === deviceId && s.ready && s.state === "idle" && s.channel?.isOpen);
+    if (!session) return false;
+
+    const text = remindersSkill.announce(item);
+    console.log(`⏰ ${item.kind} for ${deviceId}: ${text}`);
+    session.channel.send("notification", { id: item.id, kind: item.kind, text, language: item.language });
+    await speak(session, text);
+    return true;
+  }
+
+  function deliverQueued(session) {
+    if (!session.ready || session.state !== "idle") return;
+    scheduler.flush(session.deviceId).catch(err => console.error("⚠️ Failed to deliver queued reminders:", err));
+  }
+
+  // Where the device reached us, so TTS URLs point back at this server
+  function publicBaseUrl(req) {
+    if (config.publicUrl) return config.publicUrl.replace(/\/$/, "");
+    const proto = req.headers["x-forwarded-proto"]?.split(",")[0] || "http";
+    return req.headers.host ? `${proto}://${req.headers.host}` : null;
+  }
+
+  // === Language ===
+  // A device that pinned a language always gets it. Otherwise each utterance is answered in
+  // the language it was spoken in, and the last one heard is kept for greetings and notices.
+  function replyLanguage(session, text, sttLanguage) {
+    const { language } = deviceSettings(session);
+    if (language !== "auto") return language;
+
+    const detected = detectLanguage(text, { sttLanguage });
+    if (detected) session.language = detected;
+    return session.language ?? "auto";
+  }
+
+  // For things said before anyone has spoken: pinned, last heard, or the last thing the
+  // device's user said before a restart
+  function preferredLanguage(session) {
+    const { language } = deviceSettings(session);
+    if (language !== "auto") return language;
+    if (!session.language) {
+      const lastSaid = history.getHistory(session.deviceId).findLast(message => message.role === "user");
+      session.language = lastSaid ? detectLanguage(lastSaid.content) : null;
+    }
+    return session.language ?? i18n.DEFAULT_LANGUAGE;
+  }
+
+  // === Speech-to-Text ===
+  async function transcribeFile(audioPath) {
+    const { text, language, provider } = await transcriber.transcribe(audioPath);
+    if (provider) console.log(`📝 Transcribed by ${provider}${language ? ` (heard ${language})` : ""}`);
+    return { text, language };
+  }
+
+  // Live mode: interim results go straight back to the device while the user is talking
+  function startLiveTranscription(session) {
+    if (session.live) session.live.abort();
+    session.live = createLiveTranscriber({
+      baseUrl: services.urls.deepgram,
+      sampleRate: session.audioFormat.sampleRate,
+      channels: session.audioFormat.channels,
+      onTranscript: (text, isFinal) => {
+        if (!isFinal) session.channel.send("transcript", { text, partial: true });
+      },
+    });
+  }
+
+  // Resolves with { text, language }; language is what the STT provider heard, if it says
+  async function finishTranscription(session, audioPath) {
+    const live = session.live;
+    session.live = null;
+
+    if (live) {
+      try {
+        const text = await live.finish();
+        if (text) return { text, language: null };
+        console.log("⚠️ Live transcript was empty, transcribing the recording instead");
+      } catch (err) {
+        console.error("⚠️ Live transcription failed, transcribing the recording instead:", err.message);
+      }
+    }
+    return transcribeFile(audioPath);
+  }
+
+  // === WebSocket Handling ===
+  wss.on("connection", (ws, req) => {
+    const pairedDeviceId = auth.admit(ws, req);
+    if (pairedDeviceId === undefined) return;
+
+    const session = createSession(ws);
+    if (pairedDeviceId) session.deviceId = session.pairedDeviceId = pairedDeviceId;
+    const channel = createChannel(ws, { sessionId: session.id, legacyText: config.legacyText, onSend: frame => monitor.recordFrame(session, frame) });
+    session.channel = channel;
+    console.log(`🔗 ESP32 connected (session ${session.id})`);
+    publishDevice("connected", session);
+
+    session.deviceConfig = {}; // voice, prompt, language, skills as sent by the device
+    session.sttMode = DEFAULT_STT_MODE;
+    session.ttsOutput = DEFAULT_TTS_OUTPUT;
+    session.baseUrl = publicBaseUrl(req);
+    session.onClose(() => session.live?.abort());
+
+    function reportError(err) {
+      if (!(err instanceof usage.QuotaError)) {
+        console.error("❌ Error:", err);
+        channel.sendError(err);
+        return;
+      }
+
+      console.log(`🚦 ${session.deviceId} is over its ${err.quota} quota`);
+      channel.sendError(err);
+      if (err.notify) {
+        speak(session, err.message) // already in the device's language
+          .catch(e => console.error("❌ Quota notice failed:", e));
+      }
+    }
+
+    // Budgets are checked before anything is recorded or streamed to Deepgram
+    function beginUtterance() {
+      usage.admit(session.deviceId, { language: preferredLanguage(session) });
+      session.startRecording();
+      if (session.sttMode === "stream") startLiveTranscription(session);
+    }
+
+    function recordAudio(chunk) {
+      if (session.writeAudio(chunk)) session.live?.write(chunk);
+    }
+
+    async function handleUtterance() {
+      try {
+        const audioPath = await session.finishRecording();
+        if (!audioPath) return;
+        console.log(`🎧 Audio upload complete (${session.recordingInfo.durationMs}ms)`);
+        keepForReplay(session, "recording", replay.saveRecording(session.deviceId, audioPath));
+        usage.admitAudio(session.deviceId, session.recordingInfo.durationMs, { language: preferredLanguage(session) });
+
+        channel.send("status", { state: "processing" });
+
+        const { text: userText, language: heard } = await finishTranscription(session, audioPath);
+        console.log("📥 User said:", userText);
+        if (!userText) {
+          channel.send("error", { code: "EMPTY_TRANSCRIPT", msg: i18n.t(preferredLanguage(session), "empty_transcript") });
+          return;
+        }
+        channel.send("transcript", { text: userText, partial: false });
+
+        const { prompt, skills: enabledSkills } = deviceSettings(session);
+        const language = replyLanguage(session, userText, heard);
+        console.log(`🗣️ Language: ${language}`);
+        const ctx = {
+          openai: usage.meter(openai, session.deviceId),
+          services,
+          session,
+          prompt,
+          language,
+          enabledSkills,
+          conversation: history.getHistory(session.deviceId),
+          memory: memory.recall(session.deviceId, userText),
+        };
+
+        // Speak the reply while it's still being generated; the text follows once it's complete
+        if (config.streamReplies) {
+          const { skill, deltas } = skills.routeStream(userText, ctx);
+          console.log(`🧩 Skill: ${skill}`);
+          const reply = await speak(session, deltas);
+          console.log("🤖 Reply:", reply);
+          channel.send("reply", { text: reply, skill, language });
+          saveExchange(session, userText, reply, ctx.openai);
+          return;
+        }
+
+        const { skill, reply } = await skills.route(userText, ctx);
+        console.log(`🧩 Skill: ${skill}`);
+
+        saveExchange(session, userText, reply, ctx.openai);
+
+        console.log("🤖 Reply:", reply);
+        channel.send("reply", { text: reply, skill, language });
+
+        await speak(session, reply);
+      } finally {
+        // Still open if the turn failed before its transcript was read (bad audio, quota)
+        session.live?.abort();
+        session.live = null;
+        if (session.state === "processing") session.idle();
+        session.vad?.reset();
+        deliverQueued(session);
+      }
+    }
+
+    // --- Server-side VAD: the utterance opens and closes itself on speech/silence ---
+    // `rebuild` starts over with the current audio format (frame sizes depend on it)
+    function setVad(enabled, { rebuild = false } = {}) {
+      if (!enabled) {
+        session.vad = null;
+        return;
+      }
+      if (session.vad && !rebuild) return;
+
+      const { sampleRate, channels } = session.audioFormat;
+      session.vadHeaderChecked = false;
+      session.vad = createVad({
+        sampleRate,
+        channels,
+        onSpeechStart: () => {
+          console.log("🗣️ Speech detected");
+          channel.send("status", { state: "speech_start" });
+          try {
+            beginUtterance();
+          } catch (err) {
+            reportError(err); // over quota: nothing is recorded, so the utterance's end is a no-op
+            return;
+          }
+          recordAudio(createWavHeader(0, session.audioFormat));
+        },
+        onAudio: recordAudio,
+        onSpeechEnd: ({ durationMs, reason }) => {
+          console.log(`🤫 Speech ended after ${durationMs}ms (${reason})`);
+          channel.send("status", { state: "speech_end", reason });
+          handleUtterance().catch(reportError);
+        },
+      });
+    }
+
+    function feedVad(chunk) {
+      // Ignore the mic while a reply is being prepared, and skip a leading WAV header
+      if (session.state === "processing") return;
+      if (!session.vadHeaderChecked) {
+        session.vadHeaderChecked = true;
+        if (chunk.subarray(0, 4).toString("ascii") === "RIFF") chunk = chunk.subarray(HEADER_SIZE);
+      }
+      session.vad.push(chunk);
+    }
+
+    setVad(config.vad);
+
+    // The device is ready once it has sent its config (so the right voice and protocol version
+    // are known), or after greeting.waitMs for devices that never send one. Then it's greeted
+    // and told the reminders that went off while it was away.
+    const readyTimer = setTimeout(onReady, config.greeting.waitMs);
+
+    async function onReady() {
+      if (session.ready) return;
+      session.ready = true;
+      clearTimeout(readyTimer);
+      if (config.greeting.enabled) await greet();
+      deliverQueued(session);
+    }
+
+    async function greet() {
+      const language = preferredLanguage(session);
+      const custom = config.greeting.messages?.[language];
+      const greeting = custom?.length
+        ? custom[Math.floor(Math.random() * custom.length)]
+        : i18n.pick(language, "greetings");
+      console.log("🎙️ Sending greeting:", greeting);
+      await speak(session, greeting).catch(err => console.error("❌ Greeting failed:", err));
+    }
+
+    function setDeviceId(deviceId) {
+      if (!history.isValidDeviceId(deviceId)) throw new ProtocolError("invalid_field", "Invalid device_id");
+      if (session.pairedDeviceId && deviceId !== session.pairedDeviceId)
+        throw new ProtocolError("device_mismatch", `This connection is paired as ${session.pairedDeviceId}`);
+      if (deviceId === session.deviceId) return;
+      session.deviceId = deviceId;
+      session.language = null; // someone else's, until this device's user speaks
+      session.skillState = {};
+      publishDevice("identified", session);
+      deliverQueued(session);
+    }
+
+    function applyConfig(fields) {
+      if (fields.device_id !== undefined) setDeviceId(fields.device_id);
+
+      // The device's own voice/prompt/language/skills; admin overrides still win over these
+      const assistant = {};
+      for (const field of Object.keys(settings.DEFAULT_SETTINGS)) {
+        if (fields[field] !== undefined) assistant[field] = fields[field];
+      }
+      const invalid = settings.validateSettings(assistant, { skillNames: skillNames });
+      if (invalid) throw new ProtocolError("invalid_field", invalid);
+      Object.assign(session.deviceConfig, assistant);
+      if (STT_MODES.includes(fields.stt_mode)) session.sttMode = fields.stt_mode;
+      if (fields.vad !== undefined) setVad(fields.vad);
+      if (fields.tts) {
+        try {
+          session.ttsOutput = parseOutputConfig(fields.tts, session.ttsOutput);
+        } catch (err) {
+          throw new ProtocolError("invalid_field", err.message);
+        }
+      }
+      if (fields.sample_rate || fields.channels) {
+        // Format of headerless PCM uploads, of what the VAD listens to and of live STT
+        const audioFormat = {
+          ...session.audioFormat,
+          sampleRate: fields.sample_rate ?? session.audioFormat.sampleRate,
+          channels: fields.channels ?? session.audioFormat.channels,
+        };
+        validateFormat(audioFormat);
+        const changed = audioFormat.sampleRate !== session.audioFormat.sampleRate || audioFormat.channels !== session.audioFormat.channels;
+        session.audioFormat = audioFormat;
+        if (changed && session.vad) setVad(true, { rebuild: true });
+      }
+    }
+
+    ws.on("message", async (data, isBinary) => {
+      try {
+        // --- Audio Upload (binary) ---
+        if (isBinary) {
+          // Push-to-talk (START/END) still wins over VAD while a manual recording is open
+          if (session.vad && !session.manualRecording) feedVad(data);
+          else recordAudio(data);
+          return;
+        }
+
+        // --- Protocol messages (old firmware's bare strings are translated by the channel) ---
+        const msg = channel.receive(data);
+        if (!msg) return;
+
+        switch (msg.type) {
+          case "hello":
+            if (msg.device_id !== undefined) setDeviceId(msg.device_id);
+            break;
+
+          case "config":
+            applyConfig(msg);
+            channel.send("status", { state: "config_ok" });
+            console.log(`⚙️ Assistant config updated for ${session.deviceId}:`, deviceSettings(session).voice);
+            onReady();
+            break;
+
+          case "audio_start":
+            session.manualRecording = true;
+            session.vad?.reset();
+            beginUtterance();
+            console.log(`🎙️ Receiving audio (${session.sttMode} STT)...`);
+            break;
+
+          case "audio_end":
+            session.manualRecording = false;
+            await handleUtterance();
+            break;
+        }
+      } catch (err) {
+        reportError(err);
+      }
+    });
+
+    ws.on("close", () => {
+      clearTimeout(readyTimer);
+      session.close();
+      publishDevice("disconnected", session);
+      console.log(`❌ ESP32 disconnected (session ${session.id})`);
+    });
+  });
+
+  return {
+    app,
+    server,
+    skills,
+
+    // Resolves with the port actually listened on (0 picks a free one)
+    listen(port = config.port) {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, () => {
+          scheduler.start();
+          server.once("close", () => scheduler.stop());
+          const { port: actual } = server.address();
+          console.log(`🚀 Server running on port ${actual}`);
+          resolve(actual);
+        });
+      });
+    },
+  };
+}
+
+module.exports = { createServer };
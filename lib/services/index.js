@@ -0,0 +1,54 @@
+const OpenAI = require("openai");
+const { createWeatherClient } = require("./weather");
+const { createNewsClient } = require("./news");
+
+// === External services ===
+// Every server gets its OpenAI client, fetch and API clients from createServices(), so each
+// service can be pointed somewhere else. Base URLs come from the environment:
+//   OPENAI_BASE_URL       https://api.openai.com/v1
+//   DEEPGRAM_BASE_URL     https://api.deepgram.com
+//   NEWSDATA_BASE_URL     https://newsdata.io
+//   OPENWEATHER_BASE_URL  https://api.openweathermap.org
+// MOCK_SERVICES_URL (e.g. http://localhost:4010, see mock/server.js) points all four at the
+// bundled mock server at once; an explicit per-service URL still wins.
+
+const DEFAULT_BASE_URLS = {
+  openai: "https://api.openai.com/v1",
+  deepgram: "https://api.deepgram.com",
+  newsdata: "https://newsdata.io",
+  openweather: "https://api.openweathermap.org",
+};
+
+const ENV_NAMES = {
+  openai: "OPENAI_BASE_URL",
+  deepgram: "DEEPGRAM_BASE_URL",
+  newsdata: "NEWSDATA_BASE_URL",
+  openweather: "OPENWEATHER_BASE_URL",
+};
+
+// node-fetch is ESM-only; load it on first use
+const defaultFetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
+
+function baseUrls(env = process.env) {
+  const mock = env.MOCK_SERVICES_URL?.replace(/\/$/, "");
+  const urls = {};
+  for (const [service, name] of Object.entries(ENV_NAMES)) {
+    const fromMock = mock && (service === "openai" ? `${mock}/v1` : mock);
+    urls[service] = (env[name] || fromMock || DEFAULT_BASE_URLS[service]).replace(/\/$/, "");
+  }
+  return urls;
+}
+
+// Anything passed in (a fake fetch, a stub OpenAI client, other URLs) replaces the default
+function createServices({ env = process.env, fetch = defaultFetch, openai, urls: overrides = {} } = {}) {
+  const urls = { ...baseUrls(env), ...overrides };
+  return {
+    urls,
+    fetch,
+    openai: openai ?? new OpenAI({ apiKey: env.OPENAI_API_KEY, baseURL: urls.openai }),
+    weather: createWeatherClient({ fetch, baseUrl: urls.openweather, apiKey: env.WEATHER_API_KEY }),
+    news: createNewsClient({ fetch, baseUrl: urls.newsdata, apiKey: env.NEWSDATA_API_KEY }),
+  };
+}
+
+module.exports = { createServices, baseUrls, defaultFetch, DEFAULT_BASE_URLS };
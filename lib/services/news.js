@@ -0,0 +1,40 @@
+const { createCache } = require("../cache");
+
+// === NewsData.io client ===
+// Headlines by country, article language, category or free-text query. Successful pages are
+// cached per query (NEWS_CACHE_TTL_MS, default 5 minutes), so asking for sports news twice
+// or paging back and forth doesn't spend API credits twice.
+
+const CACHE_TTL_MS = Number(process.env.NEWS_CACHE_TTL_MS) || 5 * 60 * 1000;
+
+function createNewsClient({ fetch, baseUrl, apiKey, cacheTtlMs = CACHE_TTL_MS }) {
+  if (!fetch) throw new Error("The news client needs a fetch implementation");
+  const cache = createCache({ ttlMs: cacheTtlMs });
+
+  return {
+    configured: Boolean(apiKey),
+    cache,
+
+    // Raw NewsData response; `status` is "success", `results` holds the articles and
+    // `nextPage` is the token for the page after. A null country means any country.
+    async latest({ country = "ph", language = "en", category, query, page } = {}) {
+      const params = new URLSearchParams({ language });
+      if (country) params.set("country", country);
+      if (category) params.set("category", category);
+      if (query) params.set("q", query);
+      if (page) params.set("page", page);
+
+      const key = params.toString();
+      const cached = cache.get(key);
+      if (cached !== undefined) return cached;
+
+      params.set("apikey", apiKey);
+      const response = await fetch(`${baseUrl}/api/1/news?${params}`);
+      const body = await response.json();
+      if (response.ok && body.status === "success") cache.set(key, body);
+      return body;
+    },
+  };
+}
+
+module.exports = { createNewsClient };
@@ -0,0 +1,50 @@
+const { createCache } = require("../cache");
+
+// === OpenWeatherMap client ===
+// Current conditions, the 5-day / 3-hour forecast and geocoding. Successful responses are
+// cached (WEATHER_CACHE_TTL_MS, default 10 minutes; place lookups for a day), keyed by
+// coordinates rounded to about a kilometre.
+
+const CACHE_TTL_MS = Number(process.env.WEATHER_CACHE_TTL_MS) || 10 * 60 * 1000;
+const GEOCODE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const round = value => Number(value).toFixed(2);
+
+function createWeatherClient({ fetch, baseUrl, apiKey, cacheTtlMs = CACHE_TTL_MS }) {
+  if (!fetch) throw new Error("The weather client needs a fetch implementation");
+  const cache = createCache({ ttlMs: cacheTtlMs });
+  const places = createCache({ ttlMs: GEOCODE_TTL_MS });
+
+  async function get(path, params, store = cache) {
+    const key = `${path}?${new URLSearchParams(params)}`;
+    const cached = store.get(key);
+    if (cached !== undefined) return cached;
+
+    const response = await fetch(`${baseUrl}${path}?${new URLSearchParams({ ...params, appid: apiKey })}`);
+    const body = await response.json();
+    if (response.ok) store.set(key, body);
+    return body;
+  }
+
+  return {
+    configured: Boolean(apiKey),
+    cache,
+
+    // Places matching a name: [{ name, lat, lon, country, state }], best match first
+    async geocode(query, { limit = 5 } = {}) {
+      const results = await get("/geo/1.0/direct", { q: query, limit: String(limit) }, places);
+      return Array.isArray(results) ? results : [];
+    },
+
+    // Raw OpenWeatherMap responses; `cod` is 200 (or "200" for the forecast) when found
+    async current({ lat, lon }, { units = "metric" } = {}) {
+      return get("/data/2.5/weather", { lat: round(lat), lon: round(lon), units });
+    },
+
+    async forecast({ lat, lon }, { units = "metric" } = {}) {
+      return get("/data/2.5/forecast", { lat: round(lat), lon: round(lon), units });
+    },
+  };
+}
+
+module.exports = { createWeatherClient };
@@ -0,0 +1,115 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { prepareWavFile, DEFAULT_FORMAT } = require("./wav");
+
+// === Per-connection audio sessions ===
+// Every WebSocket gets its own session with a private recording file, so
+// several ESP32 units can upload at the same time without clobbering each other.
+
+const SESSION_DIR = process.env.SESSION_DIR || path.join(os.tmpdir(), "terracloud-sessions");
+const sessions = new Map();
+
+fs.mkdirSync(SESSION_DIR, { recursive: true });
+
+function removeFile(filePath) {
+  if (!filePath) return;
+  fs.promises.unlink(filePath).catch(err => {
+    if (err.code !== "ENOENT") console.error("⚠️ Failed to remove session file:", err);
+  });
+}
+
+function createSession(ws) {
+  const id = crypto.randomUUID();
+  let writeStream = null;
+  let recordingCount = 0;
+  const closeHandlers = [];
+
+  const session = {
+    id,
+    ws,
+    deviceId: "default", // replaced once the device identifies itself (hello/config or its token)
+    pairedDeviceId: null, // device the connection's pairing token belongs to, when auth is on
+    state: "idle", // idle | recording | processing
+    ready: false, // set once the device has sent its config (or never will); reminders wait for it
+    connectedAt: Date.now(),
+    recordingPath: null,
+    recordingInfo: null, // { format, dataSize, durationMs } of the last finished upload
+    audioFormat: DEFAULT_FORMAT, // assumed for uploads that arrive without a WAV header
+    skillState: {}, // what skills remember between turns (e.g. the news articles last read out)
+
+    // Open a fresh recording file for this connection (drops the previous one)
+    startRecording() {
+      if (writeStream) writeStream.destroy();
+      removeFile(session.recordingPath);
+
+      recordingCount += 1;
+      session.recordingPath = path.join(SESSION_DIR, `${id}-${recordingCount}.wav`);
+      writeStream = fs.createWriteStream(session.recordingPath);
+      writeStream.on("error", err => console.error(`⚠️ [${id}] Recording error:`, err));
+      session.state = "recording";
+    },
+
+    writeAudio(chunk) {
+      if (session.state !== "recording" || !writeStream) return false;
+      writeStream.write(chunk);
+      return true;
+    },
+
+    // Resolves with the recording path once every chunk is on disk and the WAV header
+    // has been validated and patched; rejects with a WavError for malformed uploads
+    async finishRecording() {
+      if (session.state !== "recording" || !writeStream) return null;
+
+      const stream = writeStream;
+      writeStream = null;
+      session.state = "processing";
+
+      await new Promise((resolve, reject) => {
+        stream.once("error", reject);
+        stream.end(resolve);
+      });
+      session.recordingInfo = await prepareWavFile(session.recordingPath, session.audioFormat);
+      return session.recordingPath;
+    },
+
+    idle() {
+      session.state = "idle";
+    },
+
+    // Register cleanup for per-connection resources (live transcribers, timers, …)
+    onClose(handler) {
+      closeHandlers.push(handler);
+    },
+
+    close() {
+      for (const handler of closeHandlers.splice(0)) {
+        try {
+          handler(session);
+        } catch (err) {
+          console.error(`⚠️ [${id}] Session cleanup error:`, err);
+        }
+      }
+      if (writeStream) writeStream.destroy();
+      writeStream = null;
+      removeFile(session.recordingPath);
+      session.recordingPath = null;
+      session.state = "closed";
+      sessions.delete(id);
+    },
+  };
+
+  sessions.set(id, session);
+  return session;
+}
+
+function getSession(id) {
+  return sessions.get(id);
+}
+
+function listSessions() {
+  return [...sessions.values()];
+}
+
+module.exports = { createSession, getSession, listSessions, SESSION_DIR };
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const { isValidDeviceId } = require("./history");
+
+// === Per-device assistant settings ===
+// What an admin set for a device over the REST API, kept in settings.json. The effective
+// settings are layered: built-in defaults < the server's own defaults and whatever the device
+// sent in its config < admin overrides. Setting a field to null drops the override again.
+// The file is re-read when it changes, so every server process sees admin edits.
+
+const SETTINGS_FILE = process.env.SETTINGS_FILE || "settings.json";
+
+const VOICES = ["alloy", "ash", "ballad", "coral", "echo", "fable", "nova", "onyx", "sage", "shimmer", "verse"];
+const LANGUAGES = ["auto", "en", "fil"];
+const MAX_PROMPT_LENGTH = 4000;
+
+const DEFAULT_SETTINGS = {
+  voice: "ash",
+  prompt: "You are a helpful AI assistant.",
+  language: "auto", // reply in whatever the user spoke, or always "en" / "fil"
+  skills: null, // enabled skill names; null = all of them
+};
+
+let store = null;
+let storeMtime = 0;
+
+function loadStore() {
+  let mtime = 0;
+  try {
+    mtime = fs.statSync(SETTINGS_FILE).mtimeMs;
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`⚠️ Failed to stat ${SETTINGS_FILE}:`, err);
+  }
+  if (store && mtime === storeMtime) return store;
+
+  try {
+    store = mtime ? JSON.parse(fs.readFileSync(SETTINGS_FILE, "utf-8")) : {};
+  } catch (err) {
+    console.error(`⚠️ Failed to load ${SETTINGS_FILE}:`, err);
+    store = store ?? {};
+  }
+  storeMtime = mtime;
+  return store;
+}
+
+function saveStore() {
+  try {
+    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(store, null, 2));
+    storeMtime = fs.statSync(SETTINGS_FILE).mtimeMs;
+  } catch (err) {
+    console.error(`⚠️ Failed to save ${SETTINGS_FILE}:`, err);
+  }
+}
+
+// Returns an error message for the first bad field, or null. `skillNames` limits "skills".
+function validateSettings(patch, { skillNames } = {}) {
+  for (const [field, value] of Object.entries(patch)) {
+    if (!(field in DEFAULT_SETTINGS)) return `Unknown setting "${field}"`;
+    if (value === null) continue;
+
+    if (field === "voice" && !VOICES.includes(value)) return `voice must be one of ${VOICES.join(", ")}`;
+    if (field === "language" && !LANGUAGES.includes(value)) return `language must be one of ${LANGUAGES.join(", ")}`;
+    if (field === "prompt" && (typeof value !== "string" || !value.trim() || value.length > MAX_PROMPT_LENGTH))
+      return `prompt must be a non-empty string of at most ${MAX_PROMPT_LENGTH} characters`;
+    if (field === "skills") {
+      if (!Array.isArray(value) || !value.every(name => typeof name === "string"))
+        return "skills must be an array of skill names";
+      const unknown = skillNames && value.find(name => !skillNames.includes(name));
+      if (unknown) return `Unknown skill "${unknown}"`;
+    }
+  }
+  return null;
+}
+
+// Admin overrides only
+function getOverrides(deviceId) {
+  return { ...loadStore()[deviceId] };
+}
+
+function updateSettings(deviceId, patch) {
+  if (!isValidDeviceId(deviceId)) throw new Error(`Invalid device id: ${deviceId}`);
+
+  const overrides = { ...loadStore()[deviceId] };
+  for (const [field, value] of Object.entries(patch)) {
+    if (value === null) delete overrides[field];
+    else overrides[field] = value;
+  }
+
+  if (Object.keys(overrides).length) store[deviceId] = overrides;
+  else delete store[deviceId];
+  saveStore();
+  return overrides;
+}
+
+// Effective settings: defaults < `base` (server defaults, device config) < admin overrides
+function resolveSettings(deviceId, base = {}) {
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const layer of [base, loadStore()[deviceId] ?? {}]) {
+    for (const [field, value] of Object.entries(layer)) {
+      if (field in DEFAULT_SETTINGS && value !== undefined && value !== null) settings[field] = value;
+    }
+  }
+  return settings;
+}
+
+module.exports = {
+  resolveSettings,
+  getOverrides,
+  updateSettings,
+  validateSettings,
+  DEFAULT_SETTINGS,
+  VOICES,
+  LANGUAGES,
+};
@@ -0,0 +1,193 @@
+const fs = require("fs");
+const WebSocket = require("ws");
+const { parseWavHeader } = require("./wav");
+
+// === Headless device simulator ===
+// Connects to a TerraCloud server the way an ESP32 does and records every frame in both
+// directions with its time (ms since connecting). "legacy" talks like the shipped firmware
+// (START / END / {"cmd":"SET_CONFIG"}), "v1" says hello first and sends typed frames.
+// Used by simulate.js on the command line and by the end-to-end tests.
+
+const CHUNK_SIZE = 1024;
+const PROTOCOLS = ["legacy", "v1"];
+
+// Frames that end a turn: the reply audio is complete, or the server gave up
+function isTerminal({ frame }) {
+  if (!frame) return false;
+  if (frame.type === "error") return true;
+  if (frame.type === "tts") return frame.event === "end" || frame.event === "url";
+  return frame.type === "tts_end" || frame.type === "tts_url";
+}
+
+function parseFrame(text) {
+  if (!text.startsWith("{")) return null; // legacy bare strings ("PROCESSING", transcript text…)
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function byteRateOf(buffer) {
+  try {
+    const { format } = parseWavHeader(buffer);
+    return format.sampleRate * format.channels * (format.bitDepth / 8);
+  } catch {
+    return 16000 * 2; // headerless: assume the firmware's 16 kHz / 16-bit mono
+  }
+}
+
+function createSimulator({ url = "ws://localhost:10000", token = null, deviceId = null, protocol = "legacy", firmware = "simulator" } = {}) {
+  if (!PROTOCOLS.includes(protocol)) throw new Error(`Unknown protocol: ${protocol}`);
+
+  const frames = [];
+  const audio = []; // binary frames received, in order
+  const listeners = new Set();
+  let ws = null;
+  let startedAt = 0;
+
+  function record(entry) {
+    const stamped = { at: Date.now() - startedAt, ...entry };
+    frames.push(stamped);
+    for (const listener of listeners) listener(stamped);
+    return stamped;
+  }
+
+  function sendText(text) {
+    ws.send(text);
+    record({ direction: "out", kind: "text", data: text, frame: parseFrame(text) });
+  }
+
+  function sendBinary(buffer) {
+    ws.send(buffer);
+    record({ direction: "out", kind: "binary", bytes: buffer.length });
+  }
+
+  const simulator = {
+    frames,
+    audio,
+
+    async connect() {
+      const target = new URL(url);
+      if (token) target.searchParams.set("token", token);
+
+      startedAt = Date.now();
+      ws = new WebSocket(target, { perMessageDeflate: false });
+      ws.on("message", (data, isBinary) => {
+        if (isBinary) {
+          audio.push(Buffer.from(data));
+          record({ direction: "in", kind: "binary", bytes: data.length });
+        } else {
+          const text = data.toString();
+          record({ direction: "in", kind: "text", data: text, frame: parseFrame(text) });
+        }
+      });
+      ws.on("close", (code, reason) => record({ direction: "in", kind: "close", code, reason: reason.toString() }));
+      ws.on("error", err => record({ direction: "in", kind: "error", reason: err.message }));
+
+      await new Promise((resolve, reject) => {
+        ws.once("open", resolve);
+        ws.once("error", reject);
+      });
+
+      if (protocol === "v1") {
+        const hello = simulator.waitFor(({ frame }) => frame?.type === "hello" || frame?.type === "error");
+        sendText(JSON.stringify({ type: "hello", versions: [1], device_id: deviceId ?? undefined, firmware }));
+        const { frame } = await hello;
+        if (frame.type === "error") throw new Error(`Hello rejected: ${frame.msg}`);
+      }
+    },
+
+    // Resolves with the first frame from now on that `predicate` accepts
+    waitFor(predicate, { timeoutMs = 10000 } = {}) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          listeners.delete(listener);
+          reject(new Error(`No matching frame within ${timeoutMs}ms`));
+        }, timeoutMs);
+        const listener = entry => {
+          if (entry.direction !== "in") return;
+          const closed = entry.kind === "close";
+          if (!closed && !predicate(entry)) return;
+          clearTimeout(timer);
+          listeners.delete(listener);
+          if (closed) reject(new Error(`Connection closed (${entry.code}${entry.reason ? ` ${entry.reason}` : ""})`));
+          else resolve(entry);
+        };
+        listeners.add(listener);
+      });
+    },
+
+    // Sends the config and waits for the server to acknowledge it (or reject it)
+    async sendConfig(config = {}) {
+      const fields = { ...config };
+      if (deviceId && fields.device_id === undefined) fields.device_id = deviceId;
+
+      const ack = simulator.waitFor(({ data, frame }) =>
+        data === "CONFIG_OK" || frame?.state === "config_ok" || frame?.type === "error");
+      sendText(JSON.stringify(protocol === "v1" ? { type: "config", ...fields } : { cmd: "SET_CONFIG", ...fields }));
+      return ack;
+    },
+
+    // Uploads a recording between START and END in `chunkSize` binary frames. `realtime`
+    // paces the frames at the audio's own rate, like a microphone would.
+    async sendAudio(wav, { chunkSize = CHUNK_SIZE, realtime = false } = {}) {
+      const buffer = Buffer.isBuffer(wav) ? wav : fs.readFileSync(wav);
+      const byteRate = byteRateOf(buffer);
+
+      sendText(protocol === "v1" ? JSON.stringify({ type: "audio_start" }) : "START");
+      for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+        const chunk = buffer.subarray(offset, offset + chunkSize);
+        sendBinary(chunk);
+        if (realtime) await sleep((chunk.length / byteRate) * 1000);
+      }
+      sendText(protocol === "v1" ? JSON.stringify({ type: "audio_end" }) : "END");
+    },
+
+    // Waits for the turn to finish: a terminal frame followed by `settleMs` of quiet, or
+    // `idleMs` without any frame (servers that never send TTS), or `timeoutMs` overall.
+    // Resolves with "done" | "idle" | "closed" | "timeout".
+    settle({ idleMs = 5000, settleMs = 500, timeoutMs = 30000 } = {}) {
+      return new Promise(resolve => {
+        let finished = false;
+        let timer = null;
+
+        const finish = reason => {
+          clearTimeout(timer);
+          clearTimeout(deadline);
+          listeners.delete(listener);
+          resolve(reason);
+        };
+        const arm = () => {
+          clearTimeout(timer);
+          timer = setTimeout(() => finish(finished ? "done" : "idle"), finished ? settleMs : idleMs);
+        };
+        const listener = entry => {
+          if (entry.direction !== "in") return;
+          if (entry.kind === "close") return finish("closed");
+          if (isTerminal(entry)) finished = true;
+          arm();
+        };
+
+        const deadline = setTimeout(() => finish("timeout"), timeoutMs);
+        listeners.add(listener);
+        if (ws.readyState !== WebSocket.OPEN) finish("closed");
+        else arm();
+      });
+    },
+
+    close() {
+      if (!ws || ws.readyState === WebSocket.CLOSED) return Promise.resolve();
+      return new Promise(resolve => {
+        ws.once("close", resolve);
+        ws.close();
+      });
+    },
+  };
+
+  return simulator;
+}
+
+module.exports = { createSimulator, isTerminal, PROTOCOLS, CHUNK_SIZE };
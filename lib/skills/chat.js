@@ -0,0 +1,122 @@
+// === Chat fallback skill (GPT with the device's persona, history and long-term memory) ===
+// When the router passes tools, the model may call them (weather, news, clock);
+// their results are fed back so the final reply stays in the assistant's voice.
+
+const DEFAULT_PROMPT = "You are a helpful AI assistant.";
+const MAX_TOOL_ROUNDS = 3;
+
+const REPLY_LANGUAGES = { en: "English", fil: "Filipino (Tagalog)" };
+
+// What lib/memory.js recalled for this turn: facts about the user and what was said before
+// the history window
+function memorySection({ summary, facts = [] } = {}) {
+  const parts = [];
+  if (facts.length) parts.push(`What you know about the user:\n${facts.map(fact => `- ${fact}`).join("\n")}`);
+  if (summary) parts.push(`Earlier conversation, summarized: ${summary}`);
+  return parts.length ? `\n\n${parts.join("\n\n")}` : "";
+}
+
+function buildMessages({ text, prompt, language, conversation = [], memory }) {
+  const timeString = new Date().toLocaleString("en-PH", { timeZone: "Asia/Manila" });
+  const languageRule = REPLY_LANGUAGES[language] ? `\nAlways reply in ${REPLY_LANGUAGES[language]}.` : "";
+  return [
+    {
+      role: "system",
+      content: `${prompt || DEFAULT_PROMPT}${languageRule}${memorySection(memory)}\n\nCurrent date and time: ${timeString} (Philippine local time).`,
+    },
+    ...conversation,
+    { role: "user", content: text },
+  ];
+}
+
+function toolDefinitions(tools) {
+  return tools.map(skill => ({ type: "function", function: skill.tool }));
+}
+
+// Last round goes out without tools so the model has to answer in words
+function toolOptions(tools, round) {
+  return tools.length > 0 && round < MAX_TOOL_ROUNDS ? { tools: toolDefinitions(tools) } : {};
+}
+
+async function runToolCall(call, tools, ctx) {
+  const skill = tools.find(s => s.tool.name === call.function.name);
+  if (!skill) return `Unknown tool: ${call.function.name}`;
+
+  let args = {};
+  try {
+    args = JSON.parse(call.function.arguments || "{}");
+  } catch (err) {
+    return `Invalid arguments for ${call.function.name}: ${err.message}`;
+  }
+
+  console.log(`🛠️ Tool call: ${call.function.name}`, args);
+  try {
+    return String(await skill.run(args, ctx));
+  } catch (err) {
+    console.error(`❌ Tool ${call.function.name} failed:`, err);
+    return `Tool ${call.function.name} failed: ${err.message}`;
+  }
+}
+
+async function answerToolCalls(messages, toolCalls, tools, ctx) {
+  messages.push({ role: "assistant", content: null, tool_calls: toolCalls });
+  for (const call of toolCalls) {
+    messages.push({ role: "tool", tool_call_id: call.id, content: await runToolCall(call, tools, ctx) });
+  }
+}
+
+module.exports = {
+  name: "chat",
+  priority: 0,
+  fallback: true,
+
+  async handle(ctx) {
+    const { openai, tools = [] } = ctx;
+    const messages = buildMessages(ctx);
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      const gptResponse = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages,
+        ...toolOptions(tools, round),
+      });
+
+      const message = gptResponse.choices[0].message;
+      if (!message.tool_calls?.length) return (message.content || "").trim();
+      await answerToolCalls(messages, message.tool_calls, tools, ctx);
+    }
+  },
+
+  // Same as handle(), but yields the reply as text deltas while the model is still writing
+  async *stream(ctx) {
+    const { openai, tools = [] } = ctx;
+    const messages = buildMessages(ctx);
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      const completion = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages,
+        stream: true,
+        ...toolOptions(tools, round),
+      });
+
+      // Tool call names/arguments arrive in fragments keyed by index
+      const toolCalls = [];
+      for await (const chunk of completion) {
+        const delta = chunk.choices[0]?.delta;
+        if (!delta) continue;
+        if (delta.content) yield delta.content;
+
+        for (const part of delta.tool_calls || []) {
+          const call = (toolCalls[part.index] ||= { id: "", type: "function", function: { name: "", arguments: "" } });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        }
+      }
+
+      if (!toolCalls.length) return;
+      await answerToolCalls(messages, toolCalls.filter(Boolean), tools, ctx);
+    }
+  },
+};
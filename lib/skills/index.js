@@ -0,0 +1,136 @@
+const fs = require("fs");
+const path = require("path");
+
+// === Skill registry ===
+// A skill is a module exporting { name, priority, triggers: { en: [...], fil: [...] }, handle(ctx) }.
+// The highest-priority skill with a trigger phrase in the transcript answers it; the skill
+// marked `fallback: true` (chat) answers everything else. Dropping a new module into this
+// folder is enough to register it.
+//
+// Skills may also declare an OpenAI function `tool` plus `run(args, ctx)`. In "tools" mode
+// the keyword triggers are skipped and every transcript goes to the fallback, which lets
+// the model pick a tool and fill in its arguments (city, topic, language).
+//
+// A skill can also export followUp(lowerText, ctx), returning true when a transcript that hit
+// no trigger continues its last answer ("next", "the second one" after the news). It's asked
+// before the fallback gets the transcript; ctx.session.skillState is where it keeps its memory.
+//
+// Per device, ctx.enabledSkills (names, or null for all) hides skills from both modes — the
+// fallback always stays — and ctx.language ("en" / "fil") pins the reply language.
+
+const INTENT_MODES = ["keywords", "tools"];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Match whole words only, so "time" doesn't fire on "sometimes"
+function compileTriggers(triggers = {}) {
+  return Object.entries(triggers).flatMap(([lang, phrases]) =>
+    phrases.map(phrase => ({
+      lang,
+      phrase,
+      pattern: new RegExp(`(?:^|[^\\p{L}])${escapeRegExp(phrase.toLowerCase())}(?:$|[^\\p{L}])`, "u"),
+    }))
+  );
+}
+
+function createSkillRouter(initialSkills = [], { mode = "keywords" } = {}) {
+  if (!INTENT_MODES.includes(mode)) throw new Error(`Unknown intent mode: ${mode}`);
+  const skills = [];
+
+  const isEnabled = (skill, enabled) => !enabled || skill.fallback || enabled.includes(skill.name);
+
+  function prepare(text, ctx) {
+    const enabled = ctx.enabledSkills ?? null;
+    let match = mode === "tools" ? router.fallback() : router.match(text, enabled);
+    if (mode === "keywords" && match?.skill.fallback) match = router.followUp(text, ctx, enabled) ?? match;
+    if (!match) throw new Error("No skill available to handle the request");
+
+    const pinned = ctx.language && ctx.language !== "auto" ? ctx.language : null;
+    const skillCtx = {
+      ...ctx,
+      text,
+      lower: text.toLowerCase(),
+      lang: pinned ?? match.lang,
+      tools: mode === "tools" ? router.tools(enabled) : [],
+    };
+    return { match, skillCtx };
+  }
+
+  const router = {
+    register(skill) {
+      if (!skill?.name || typeof skill.handle !== "function")
+        throw new Error("A skill needs a name and a handle() function");
+      if (skill.tool && typeof skill.run !== "function")
+        throw new Error(`Skill "${skill.name}" declares a tool but no run() function`);
+      if (skills.some(s => s.name === skill.name))
+        throw new Error(`Skill "${skill.name}" is already registered`);
+
+      skills.push({ priority: 0, ...skill, compiled: compileTriggers(skill.triggers) });
+      skills.sort((a, b) => b.priority - a.priority);
+      return router;
+    },
+
+    list() {
+      return skills.map(({ name, priority, triggers, fallback, tool }) => ({
+        name, priority, triggers, fallback: !!fallback, tool: tool?.name || null,
+      }));
+    },
+
+    tools(enabled = null) {
+      return skills.filter(skill => skill.tool && isEnabled(skill, enabled));
+    },
+
+    // Pure keyword lookup (no network), returns { skill, lang, trigger } or null
+    match(text, enabled = null) {
+      const lower = text.toLowerCase();
+      for (const skill of skills) {
+        if (!isEnabled(skill, enabled)) continue;
+        const hit = skill.compiled.find(trigger => trigger.pattern.test(lower));
+        if (hit) return { skill, lang: hit.lang, trigger: hit.phrase };
+      }
+      return router.fallback();
+    },
+
+    // The skill whose last answer this transcript continues, or null
+    followUp(text, ctx = {}, enabled = null) {
+      const lower = text.toLowerCase();
+      const skill = skills.find(s => s.followUp && isEnabled(s, enabled) && s.followUp(lower, ctx));
+      return skill ? { skill, lang: null, trigger: null } : null;
+    },
+
+    fallback() {
+      const skill = skills.find(s => s.fallback);
+      return skill ? { skill, lang: null, trigger: null } : null;
+    },
+
+    async route(text, ctx = {}) {
+      const { match, skillCtx } = prepare(text, ctx);
+      const reply = await match.skill.handle(skillCtx);
+      return { skill: match.skill.name, lang: match.lang, reply };
+    },
+
+    // Like route(), but `deltas` yields the reply text piece by piece. Skills without a
+    // stream() of their own yield their whole reply at once.
+    routeStream(text, ctx = {}) {
+      const { match, skillCtx } = prepare(text, ctx);
+      const deltas = match.skill.stream
+        ? match.skill.stream(skillCtx)
+        : (async function* () { yield await match.skill.handle(skillCtx); })();
+      return { skill: match.skill.name, lang: match.lang, deltas };
+    },
+  };
+
+  initialSkills.forEach(skill => router.register(skill));
+  return router;
+}
+
+function loadSkills(dir = __dirname) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith(".js") && file !== "index.js")
+    .sort()
+    .map(file => require(path.join(dir, file)));
+}
+
+module.exports = { createSkillRouter, loadSkills, INTENT_MODES };
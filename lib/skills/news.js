@@ -0,0 +1,302 @@
+// === News skill (NewsData.io headlines, read out with their source and age) ===
+// Reads a few numbered headlines at a time and keeps the articles in the session, so the
+// conversation can go on: "next" reads the next few (or the next article), "tell me more
+// about the second one" / "yung pangalawa" summarizes that article. Any country, article
+// language, NewsData category or free-text topic ("news about the SEA Games"); without one,
+// NEWS_COUNTRY (ph) and NEWS_LANGUAGE (en).
+const { t } = require("../i18n");
+
+const DEFAULT_COUNTRY = process.env.NEWS_COUNTRY || "ph";
+const DEFAULT_ARTICLE_LANGUAGE = process.env.NEWS_LANGUAGE || "en";
+const PER_TURN = 3; // headlines read out per answer
+const FOLLOW_UP_MS = 10 * 60 * 1000; // how long "next" / "the second one" still mean these articles
+
+// NewsData categories
+const TOPICS = [
+  { topic: "technology", words: ["tech", "technology", "teknolohiya"] },
+  { topic: "sports", words: ["sports", "isports", "palakasan"] },
+  { topic: "business", words: ["business", "negosyo"] },
+  { topic: "entertainment", words: ["entertainment", "showbiz", "aliwan", "libangan"] },
+  { topic: "politics", words: ["politics", "politika"] },
+  { topic: "science", words: ["science", "agham"] },
+  { topic: "health", words: ["health", "kalusugan"] },
+];
+
+// Spoken country names → NewsData country codes; null means news from anywhere
+const COUNTRIES = [
+  { code: "ph", name: "Philippine", words: ["philippines", "philippine", "pilipinas", "local", "lokal"] },
+  { code: "us", name: "US", words: ["america", "american", "united states", "usa", "amerika"] },
+  { code: "gb", name: "UK", words: ["uk", "united kingdom", "britain", "british", "england"] },
+  { code: "jp", name: "Japan", words: ["japan"] },
+  { code: "kr", name: "Korea", words: ["korea", "south korea"] },
+  { code: "cn", name: "China", words: ["china", "tsina"] },
+  { code: "sg", name: "Singapore", words: ["singapore"] },
+  { code: "au", name: "Australia", words: ["australia"] },
+  { code: "ca", name: "Canada", words: ["canada"] },
+  { code: "in", name: "India", words: ["india"] },
+  { code: null, name: "world", words: ["world", "international", "global", "mundo", "pandaigdig"] },
+];
+
+// "in Tagalog" / "sa Tagalog" → NewsData article language codes
+const ARTICLE_LANGUAGES = {
+  english: "en", ingles: "en", filipino: "tl", tagalog: "tl", japanese: "jp", korean: "ko",
+  chinese: "zh", spanish: "es", french: "fr",
+};
+
+const ORDINALS = [
+  [1, ["first", "1st", "una", "unang", "ikauna"]],
+  [2, ["second", "2nd", "pangalawa", "ikalawa", "pangalawang", "ikalawang"]],
+  [3, ["third", "3rd", "pangatlo", "ikatlo", "pangatlong", "ikatlong"]],
+  [4, ["fourth", "4th", "pang-apat", "ikaapat"]],
+  [5, ["fifth", "5th", "panlima", "ikalima", "panglima"]],
+  [-1, ["last", "huli", "huling"]],
+];
+const NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+// Follow-ups have to point at the news: "the second one", "yung pangatlo", "that story",
+// "next headlines". Otherwise only a bare "next" / "tell me more" counts, so "who was the
+// first president?" or "huli na ako sa trabaho" stay with chat.
+const STORY = "(?:one|story|stories|headline|headlines|article|news|balita|balitang)";
+const FILLER = /\b(?:please|po|ok|okay|sige|then|and|uh|um|naman|yung|iyong|ang|the|what about|how about|tell me about|tell me more about|read|ano)\b/g;
+const BARE_DETAILS = /^(?:tell me more|more|ano pa|ikwento mo pa|kwento pa)$/;
+const BARE_NEXT = /^(?:next|next one|susunod|iba pa)$/;
+const ANCHORED_DETAILS = new RegExp(`\\b(?:more (?:about|on) (?:that|this) ${STORY}|(?:that|this) (?:story|article|headline)|(?:yung|iyong|ang) balitang (?:iyon|yon|iyan|yan))\\b`);
+const ANCHORED_NEXT = new RegExp(`\\b(?:next (?:headlines|stories|news|page)|more (?:headlines|news|stories)|susunod na (?:balita|mga balita)|iba pang balita)\\b`);
+
+const hasWord = (text, word) => new RegExp(`(?:^|[^\\p{L}])${word}(?:$|[^\\p{L}])`, "u").test(text);
+
+function detectTopic(lowerText) {
+  const found = TOPICS.find(({ words }) => words.some(word => lowerText.includes(word)));
+  return found ? found.topic : "";
+}
+
+function detectCountry(lowerText) {
+  return COUNTRIES.find(({ words }) => words.some(word => hasWord(lowerText, word))) ?? null;
+}
+
+// "news about the sea games" → "the sea games"; only for topics that aren't a category
+function extractQuery(lowerText) {
+  const match = lowerText.match(/\b(?:(?:news|headlines|stories|balita)\s+(?:about|regarding|on)|tungkol\s+sa)\s+([^?!.,]+)/);
+  if (!match) return "";
+  return match[1].split(/\s+(?:from|in|sa|today|ngayon|please|po)\b/)[0].trim();
+}
+
+// What a transcript asks for: { category, query, country, articleLanguage }
+function parseRequest(lowerText) {
+  const category = detectTopic(lowerText);
+  const country = detectCountry(lowerText);
+  const languageName = [...lowerText.matchAll(/\b(?:in|sa)\s+(\p{L}+)/gu)].map(match => match[1]).find(name => name in ARTICLE_LANGUAGES);
+  return {
+    category: category || null,
+    query: category ? "" : extractQuery(lowerText),
+    country: country ? country.code : DEFAULT_COUNTRY,
+    articleLanguage: ARTICLE_LANGUAGES[languageName] ?? DEFAULT_ARTICLE_LANGUAGE,
+  };
+}
+
+// Which headline an utterance points at, if it points at one: "the second one", "yung
+// pangatlo", "huling balita", or a bare "second" / "number two"
+function pointedItem(lowerText, bare) {
+  for (const [item, words] of ORDINALS) {
+    for (const word of words) {
+      const anchored = new RegExp(`(?:\\b(?:yung|iyong|ang)\\s+${word}|\\b${word}\\s+(?:na\\s+|ng\\s+)?${STORY})(?:$|[^\\p{L}])`, "u");
+      if (anchored.test(lowerText) || bare === word || bare === `${word} one`) return item;
+    }
+  }
+  const number = bare.match(/^(?:number|#)\s*(one|two|three|four|five|\d)$/);
+  return number ? NUMBERS[number[1]] ?? Number(number[1]) : null;
+}
+
+// "next" → { action: "next" }; "tell me more about the second one" → { action: "details", item: 2 }
+function parseFollowUp(lowerText) {
+  const bare = lowerText.replace(/[?!.,]/g, " ").replace(FILLER, " ").replace(/\s+/g, " ").trim();
+  const item = pointedItem(lowerText, bare);
+  if (item) return { action: "details", item };
+  if (BARE_DETAILS.test(bare) || ANCHORED_DETAILS.test(lowerText)) return { action: "details", item: null };
+  if (BARE_NEXT.test(bare) || ANCHORED_NEXT.test(lowerText)) return { action: "next" };
+  return null;
+}
+
+// --- Reading out ---
+
+function formatAge(pubDate, language, now) {
+  const published = Date.parse(`${String(pubDate).replace(" ", "T")}Z`);
+  if (Number.isNaN(published)) return null;
+  const minutes = Math.max(1, Math.round((now - published) / 60000));
+  const format = new Intl.RelativeTimeFormat(language === "fil" ? "fil" : "en", { numeric: "auto" });
+  if (minutes < 60) return format.format(-minutes, "minute");
+  if (minutes < 24 * 60) return format.format(-Math.round(minutes / 60), "hour");
+  return format.format(-Math.round(minutes / (24 * 60)), "day");
+}
+
+function attribution(article, language, now) {
+  return [article.source_name || article.source_id, formatAge(article.pubDate, language, now)].filter(Boolean).join(", ");
+}
+
+function topicLabel(request, language) {
+  const country = COUNTRIES.find(({ code }) => code === request.country);
+  const place = request.country === DEFAULT_COUNTRY ? null : country?.name ?? request.country?.toUpperCase();
+  return [place, request.query || request.category].filter(Boolean).join(" ") || t(language, "news.general");
+}
+
+function stateOf(ctx) {
+  const state = ctx.session?.skillState?.news;
+  return state && Date.now() - state.updatedAt < FOLLOW_UP_MS ? state : null;
+}
+
+function remember(ctx, state) {
+  state.updatedAt = Date.now();
+  if (ctx.session?.skillState) ctx.session.skillState.news = state;
+  return state;
+}
+
+// Pages in articles until `count` are loaded or there are no more
+async function loadArticles({ services }, state, count) {
+  while (state.articles.length < count && state.nextPage) {
+    const data = await services.news.latest({ ...state.request, page: state.nextPage });
+    if (data.status !== "success" || !data.results?.length) break;
+    state.articles.push(...data.results);
+    state.nextPage = data.nextPage ?? null;
+  }
+}
+
+async function readHeadlines(ctx, language, state) {
+  await loadArticles(ctx, state, state.shown + PER_TURN + 1);
+  const batch = state.articles.slice(state.shown, state.shown + PER_TURN);
+  if (!batch.length) return t(language, "news.no_more");
+
+  const now = Date.now();
+  const items = batch
+    .map((article, i) => `${state.shown + i + 1}. ${article.title} (${attribution(article, language, now)})`)
+    .join(" ");
+  const first = state.shown === 0;
+  state.shown += batch.length;
+  state.current = null;
+  remember(ctx, state);
+
+  const more = state.articles.length > state.shown || state.nextPage ? ` ${t(language, "news.more_hint")}` : "";
+  return t(language, first ? "news.headlines" : "news.more_headlines", { topic: state.label, items }) + more;
+}
+
+async function readArticle(ctx, language, state, item) {
+  await loadArticles(ctx, state, item);
+  const index = item === -1 ? Math.min(state.shown, state.articles.length) - 1 : item - 1;
+  const article = state.articles[index];
+  if (!article) return t(language, "news.no_such_item", { count: state.shown });
+
+  const summary = await ctx.openai.chat.completions.create({
+    model: "gpt-4o-mini",
+    messages: [
+      { role: "system", content: "You retell news articles briefly and conversationally, sticking to what the article says." },
+      { role: "user", content: t(language, "news.article_prompt", { title: article.title, description: article.description || "" }) },
+    ],
+  });
+
+  state.current = index + 1;
+  state.shown = Math.max(state.shown, index + 1);
+  remember(ctx, state);
+  return t(language, "news.article", {
+    source: attribution(article, language, Date.now()),
+    summary: summary.choices[0].message.content.trim(),
+  });
+}
+
+async function continueNews(ctx, language, { action, item }) {
+  const state = stateOf(ctx);
+  if (!state) return t(language, "news.nothing_read");
+  if (action === "details") return readArticle(ctx, language, state, item ?? state.current ?? 1);
+  // "next" right after an article means the next article, otherwise the next headlines
+  if (!state.current) return readHeadlines(ctx, language, state);
+  await loadArticles(ctx, state, state.current + 1);
+  if (state.current >= state.articles.length) return t(language, "news.no_more");
+  return readArticle(ctx, language, state, state.current + 1);
+}
+
+async function getLatestNews(ctx, language = "en", request = parseRequest("")) {
+  const { services } = ctx;
+  try {
+    if (!services.news.configured) return t(language, "news.missing_key");
+
+    const { category, query, country, articleLanguage } = request;
+    const params = { country, language: articleLanguage, category: category || undefined, query: query || undefined };
+    const data = await services.news.latest(params);
+
+    if (data.status !== "success" || !data.results?.length) {
+      console.log("⚠️ NewsData API returned no results:", data);
+      return t(language, "news.none", { topic: query || category || t(language, "news.home") });
+    }
+
+    const state = { request: params, label: topicLabel(request, language), articles: data.results, nextPage: data.nextPage ?? null, shown: 0, current: null };
+    return readHeadlines(ctx, language, state);
+  } catch (err) {
+    console.error("📰 NewsData API error:", err);
+    return t(language, "news.failed");
+  }
+}
+
+async function followUpNews(ctx, language, followUp) {
+  try {
+    return await continueNews(ctx, language, followUp);
+  } catch (err) {
+    console.error("📰 NewsData API error:", err);
+    return t(language, "news.failed");
+  }
+}
+
+module.exports = {
+  name: "news",
+  priority: 20,
+  triggers: {
+    en: ["news", "headlines"],
+    fil: ["balita"],
+  },
+
+  tool: {
+    name: "getLatestNews",
+    description: "Read out the latest news headlines (Philippine by default) with their sources, optionally about a topic or from another country. Also for follow-ups on news already read out: the next headlines, or more about one of them.",
+    parameters: {
+      type: "object",
+      properties: {
+        topic: { type: "string", description: "Topic or keyword such as technology, sports, business or a person's name. Leave empty for general news." },
+        country: { type: "string", description: "Two-letter country code of the news, e.g. ph, us, jp; \"world\" for any country." },
+        articleLanguage: { type: "string", description: "Language code of the articles if the user asked for one, e.g. en, tl." },
+        followUp: { type: "string", enum: ["next", "details"], description: "next = the next headlines (or next article); details = more about one already read out." },
+        item: { type: "integer", description: "With followUp details: the headline's number as read out (1, 2, ...), -1 for the last one." },
+        language: { type: "string", enum: ["en", "fil"], description: "Language the user spoke in." },
+      },
+      additionalProperties: false,
+    },
+  },
+
+  // "next" / "the second one" right after headlines belong here even without the word "news"
+  followUp(lowerText, ctx) {
+    return Boolean(stateOf(ctx) && parseFollowUp(lowerText));
+  },
+
+  // A new topic or country starts over; anything else that sounds like a follow-up continues
+  async handle(ctx) {
+    const request = parseRequest(ctx.lower);
+    const followUp = parseFollowUp(ctx.lower);
+    const startsOver = request.category || request.query || detectCountry(ctx.lower);
+    if (followUp && stateOf(ctx) && (followUp.item || !startsOver)) return followUpNews(ctx, ctx.lang, followUp);
+    return getLatestNews(ctx, ctx.lang, request);
+  },
+
+  async run({ topic = "", country, articleLanguage, followUp, item, language = "en" } = {}, ctx) {
+    const lang = ctx.lang ?? language;
+    if (followUp) return followUpNews(ctx, lang, { action: followUp, item: Number.isInteger(item) ? item : null });
+
+    const category = detectTopic(topic.toLowerCase());
+    return getLatestNews(ctx, lang, {
+      category: category || null,
+      query: category ? "" : topic,
+      country: country === "world" ? null : country?.toLowerCase() || DEFAULT_COUNTRY,
+      articleLanguage: articleLanguage || DEFAULT_ARTICLE_LANGUAGE,
+    });
+  },
+
+  detectTopic,
+  parseRequest,
+  parseFollowUp,
+  getLatestNews,
+};
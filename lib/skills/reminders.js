@@ -0,0 +1,190 @@
+// === Reminders skill (reminders, timers and alarms, said back when they're due) ===
+// "Remind me in 20 minutes to turn off the rice cooker", "wake me at 6am", "set a timer for
+// 10 minutes", "ipaalala mo sa akin na bumili ng gatas mamayang alas singko", plus "what
+// reminders do I have?" and "cancel my alarm". Items are stored per device (lib/reminders.js);
+// the server speaks them when due, or when the device comes back if it was offline.
+const { t } = require("../i18n");
+const reminders = require("../reminders");
+const { parseTime, clockTime, formatClock, formatDay, daysFrom } = require("../timeparse");
+
+const LATE_MS = 2 * 60 * 1000; // delivered later than this, the announcement says when it was due
+
+const ALARM = /\b(?:wake me|wake up|alarm|alarma|gisingin|gising)\b/;
+const TIMER = /\btimer\b/;
+const CANCEL = /\b(?:cancel|delete|remove|clear|stop|turn off|kanselahin|ikansela|burahin|alisin|tanggalin|patayin)\b/;
+const LIST = /\b(?:what|which|list|show|any|do i have|ano|anong|ilan|mayroon|meron)\b/;
+
+function detectKind(lowerText) {
+  if (ALARM.test(lowerText)) return "alarm";
+  if (TIMER.test(lowerText)) return "timer";
+  return "reminder";
+}
+
+// What to be reminded of: the words after "remind me … to" / "ipaalala … na", minus the time
+function extractTask(parsedText, spans = []) {
+  let rest = parsedText;
+  for (const span of spans) rest = rest.replace(span, " ");
+  const match = rest.match(/\b(?:remind(?:er)?|ipaalala|paalalahanan|paalala)\b.*?\b(?:to|that|about|na|tungkol sa|ang)\s+(.+)/);
+  const task = match?.[1]
+    .replace(/\b(?:please|po|ha)\b/g, "")
+    .replace(/[?.!,\s]+$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return task || null;
+}
+
+// "1 hour and 30 minutes" / "1 oras at 30 minuto"
+function formatDuration(ms, language) {
+  const total = Math.round(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+  const parts = [
+    hours && t(language, hours === 1 ? "reminders.hour" : "reminders.hours", { n: hours }),
+    minutes && t(language, minutes === 1 ? "reminders.minute" : "reminders.minutes", { n: minutes }),
+    seconds && !hours && t(language, seconds === 1 ? "reminders.second" : "reminders.seconds", { n: seconds }),
+  ].filter(Boolean);
+  return parts.join(t(language, "reminders.and"));
+}
+
+// "at 6:00 AM tomorrow", "in 20 minutes"
+function describeWhen(item, language, now = Date.now()) {
+  if (item.durationMs && item.dueAt - now <= item.durationMs) return t(language, "reminders.in", { duration: formatDuration(item.dueAt - now, language) });
+  const time = formatClock(item.dueAt);
+  const days = daysFrom(item.dueAt, now);
+  if (days === 0) return t(language, "reminders.at_today", { time });
+  if (days === 1) return t(language, "reminders.at_tomorrow", { time });
+  return t(language, "reminders.at_day", { time, day: formatDay(item.dueAt, language) });
+}
+
+function describeItem(item, language, now) {
+  return t(language, `reminders.item_${item.kind}`, { text: item.text, when: describeWhen(item, language, now) });
+}
+
+// What the device says when the item goes off
+function announce(item, { now = Date.now() } = {}) {
+  const { language } = item;
+  const message = item.kind === "reminder" && !item.text
+    ? t(language, "reminders.fire_reminder_plain")
+    : t(language, `reminders.fire_${item.kind}`, {
+      text: item.text,
+      time: formatClock(item.dueAt),
+      duration: item.durationMs ? formatDuration(item.durationMs, language) : "",
+    });
+  if (now - item.dueAt < LATE_MS) return message;
+  return t(language, "reminders.missed", { time: formatClock(item.dueAt), message });
+}
+
+function setReminder({ session }, language, { kind, text, dueAt, durationMs }) {
+  const deviceId = session?.deviceId ?? "default";
+  let item;
+  try {
+    item = reminders.addReminder(deviceId, { kind, text, dueAt, durationMs, language: language || "en" });
+  } catch (err) {
+    if (err.code === "too_many") return t(language, "reminders.too_many");
+    throw err;
+  }
+  console.log(`⏰ ${kind} for ${deviceId} at ${new Date(dueAt).toISOString()}${text ? `: ${text}` : ""}`);
+
+  const when = describeWhen(item, language);
+  if (kind === "timer" && durationMs) return t(language, "reminders.set_timer", { duration: formatDuration(durationMs, language) });
+  if (kind === "reminder" && text) return t(language, "reminders.set_reminder", { text, when });
+  return t(language, `reminders.set_${kind === "reminder" ? "reminder_plain" : kind}`, { when });
+}
+
+function listItems({ session }, language, kind = null) {
+  const items = reminders.pendingReminders(session?.deviceId ?? "default", { kind });
+  if (!items.length) return t(language, "reminders.none");
+  const now = Date.now();
+  return t(language, "reminders.list", { items: items.map(item => describeItem(item, language, now)).join("; ") });
+}
+
+// "cancel all my reminders" / "cancel my timers": every one of that kind; "cancel my alarm": the next one
+function cancelItems({ session, lower = "" }, language, kind = null, all = /\b(?:all|every|lahat|mga|reminders|timers|alarms)\b/.test(lower)) {
+  const deviceId = session?.deviceId ?? "default";
+  const pending = reminders.pendingReminders(deviceId, { kind });
+  const targets = all ? pending : pending.slice(0, 1);
+  if (!targets.length) return t(language, "reminders.nothing_to_cancel");
+
+  const cancelled = reminders.cancelReminders(deviceId, { ids: targets.map(item => item.id) });
+  console.log(`🗑️ Cancelled ${cancelled.length} reminder(s) for ${deviceId}`);
+  const now = Date.now();
+  return t(language, "reminders.cancelled", { items: cancelled.map(item => describeItem(item, language, now)).join("; ") });
+}
+
+async function handleReminder(ctx) {
+  const { lower, lang: language } = ctx;
+  const kind = detectKind(lower);
+  const parsed = parseTime(lower);
+
+  if (parsed) {
+    const text = kind === "reminder" ? extractTask(parsed.text, parsed.spans) : null;
+    return setReminder(ctx, language, { kind, text, dueAt: parsed.dueAt, durationMs: parsed.durationMs });
+  }
+  // "my reminders" covers everything; "my timers" / "my alarm" only that kind
+  const named = /\b(?:timers?|alarms?|alarma)\b/.test(lower) ? kind : null;
+  if (CANCEL.test(lower)) return cancelItems(ctx, language, named);
+  if (LIST.test(lower) && !/\bremind me\b|\bipaalala\b/.test(lower)) return listItems(ctx, language, named);
+  return t(language, "reminders.need_time");
+}
+
+// Tool arguments → a due time: delaySeconds, or time ("HH:MM" Philippine time) on day
+function dueFromArgs({ delaySeconds, time, day }, now = Date.now()) {
+  if (Number.isFinite(delaySeconds) && delaySeconds > 0) return { dueAt: now + delaySeconds * 1000, durationMs: delaySeconds * 1000 };
+  const match = typeof time === "string" && time.match(/^(\d{1,2}):(\d{2})$/);
+  const [hour, minute] = match ? [Number(match[1]), Number(match[2])] : [];
+  if (!match || hour > 23 || minute > 59) return null;
+  return { dueAt: clockTime(hour, minute, { now, tomorrow: day === "tomorrow" }), durationMs: null };
+}
+
+module.exports = {
+  name: "reminders",
+  priority: 40,
+  triggers: {
+    en: ["remind me", "reminder", "reminders", "timer", "timers", "alarm", "alarms", "wake me"],
+    fil: ["ipaalala", "paalala", "paalalahanan", "gisingin", "alarma"],
+  },
+
+  tool: {
+    name: "manageReminders",
+    description: "Set, list or cancel the user's reminders, timers and alarms. The device says them out loud when they're due.",
+    parameters: {
+      type: "object",
+      properties: {
+        action: { type: "string", enum: ["set", "list", "cancel"] },
+        kind: { type: "string", enum: reminders.KINDS },
+        text: { type: "string", description: "For reminders: what to remind the user of, in their words (\"turn off the rice cooker\")." },
+        delaySeconds: { type: "integer", description: "For \"in 20 minutes\" style requests and timers: seconds from now." },
+        time: { type: "string", description: "For clock times: HH:MM, 24-hour, Philippine time." },
+        day: { type: "string", enum: ["today", "tomorrow"], description: "With time; leave out for the next time the clock shows it." },
+        language: { type: "string", enum: ["en", "fil"], description: "Language the user spoke in." },
+      },
+      required: ["action"],
+      additionalProperties: false,
+    },
+  },
+
+  async handle(ctx) {
+    return handleReminder(ctx);
+  },
+
+  async run({ action = "set", kind = null, text = null, language = "en", ...when } = {}, ctx) {
+    const lang = ctx.lang ?? language;
+    if (action === "list") return listItems(ctx, lang, kind);
+    if (action === "cancel") return cancelItems(ctx, lang, kind);
+
+    // Whatever the model left out (the time, the task) is read from what the user said
+    const parsed = parseTime(ctx.lower ?? "");
+    const due = dueFromArgs(when) ?? parsed;
+    if (!due) return t(lang, "reminders.need_time");
+    const resolvedKind = kind ?? detectKind(ctx.lower ?? "");
+    const task = text || (parsed ? extractTask(parsed.text, parsed.spans) : null);
+    return setReminder(ctx, lang, { kind: resolvedKind, text: resolvedKind === "reminder" ? task : null, dueAt: due.dueAt, durationMs: due.durationMs });
+  },
+
+  announce,
+  extractTask,
+  detectKind,
+  dueFromArgs,
+  formatDuration,
+};
@@ -0,0 +1,41 @@
+// === Time skill (Philippine local date and time) ===
+const { t } = require("../i18n");
+
+const TIME_ZONE = "Asia/Manila";
+
+function tellTime(language) {
+  const now = new Date();
+  const phTime = now.toLocaleTimeString("en-PH", { timeZone: TIME_ZONE, hour: "2-digit", minute: "2-digit" });
+  const phDate = now.toLocaleDateString("en-PH", { timeZone: TIME_ZONE, weekday: "long", year: "numeric", month: "long", day: "numeric" });
+
+  return t(language, "time.now", { date: phDate, time: phTime });
+}
+
+module.exports = {
+  name: "time",
+  priority: 10,
+  triggers: {
+    en: ["time", "date", "what day"],
+    fil: ["oras", "araw", "petsa"],
+  },
+
+  tool: {
+    name: "getCurrentTime",
+    description: "Get the current date and time in the Philippines (Asia/Manila). Use when the user asks what time or what day it is.",
+    parameters: {
+      type: "object",
+      properties: {
+        language: { type: "string", enum: ["en", "fil"], description: "Language the user spoke in." },
+      },
+      additionalProperties: false,
+    },
+  },
+
+  async handle({ lang }) {
+    return tellTime(lang);
+  },
+
+  async run({ language = "en" } = {}, ctx = {}) {
+    return tellTime(ctx.lang ?? language);
+  },
+};
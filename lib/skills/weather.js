@@ -0,0 +1,242 @@
+// === Weather skill (OpenWeatherMap current conditions and 5-day forecast) ===
+// Answers for now, today, tomorrow, this weekend, or whether it'll rain in the next hours.
+// Place names are geocoded, Philippine matches first; a name that fits several places gets a
+// question back ("San Jose, Batangas or San Jose, Nueva Ecija?"). Without a place it's the
+// device's home location (lib/locations.js), else Manila.
+const { t } = require("../i18n");
+const locations = require("../locations");
+
+const DEFAULT_CITY = "Manila";
+const HOME_COUNTRY = "PH";
+const RAIN_HOURS = 12; // how far ahead "will it rain?" looks
+const RAIN_LIKELY = 0.5; // probability of precipitation that counts as "likely"
+const WHEN = ["now", "today", "tomorrow", "weekend", "hours"];
+
+// Words after "in" / "sa" that end a place name ("in Cebu tomorrow", "sa Davao bukas")
+const NOT_PLACE = new Set([
+  "the", "a", "this", "next", "today", "tonight", "tomorrow", "now", "later", "right", "morning", "afternoon",
+  "evening", "weekend", "week", "hours", "hour", "please", "will", "is", "on", "at", "for", "and", "or",
+  "monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday",
+  "ngayon", "ngayong", "bukas", "mamaya", "umaga", "hapon", "gabi", "sabado", "linggo", "ba", "po", "ho",
+  "na", "ay", "ang", "ng", "kung", "susunod",
+]);
+
+const HOME_PATTERNS = [
+  /\b(?:set|change|update)\s+my\s+(?:home|location|home location)\s+(?:to|as)\s+(.+)/,
+  /\bmy\s+(?:home|home location|location)\s+is\s+(?:in\s+)?(.+)/,
+  /\bnakatira\s+ako\s+sa\s+(.+)/,
+];
+
+function cleanPlace(raw) {
+  const words = [];
+  for (const word of raw.split(/\s+/)) {
+    const bare = word.replace(/[?.!]+$/, "");
+    if (!bare || NOT_PLACE.has(bare)) break;
+    words.push(bare);
+    if (bare !== word) break; // sentence punctuation ends it too
+  }
+  return words.join(" ").replace(/,+$/, "").trim() || null;
+}
+
+// The place named after "in" / "sa", or null ("what's the weather in the morning?" has none)
+function extractCity(lowerText) {
+  for (const match of lowerText.matchAll(/\b(?:in|sa)\s+([^?!.]+)/g)) {
+    const place = cleanPlace(match[1]);
+    if (place) return place;
+  }
+  return null;
+}
+
+// "set my location to Cebu" → "cebu"
+function extractHome(lowerText) {
+  for (const pattern of HOME_PATTERNS) {
+    const match = lowerText.match(pattern);
+    const place = match && cleanPlace(match[1]);
+    if (place) return place;
+  }
+  return null;
+}
+
+function extractWhen(lowerText) {
+  const has = words => words.some(word => new RegExp(`\\b${word}\\b`).test(lowerText));
+  if (has(["tomorrow", "bukas"])) return "tomorrow";
+  if (has(["weekend", "saturday", "sunday", "sabado", "linggo"])) return "weekend";
+  if (has(["rain", "raining", "umbrella", "later", "ulan", "uulan", "umulan", "umuulan", "payong", "mamaya"])) return "hours";
+  if (has(["today", "tonight", "ngayong araw"])) return "today";
+  return "now";
+}
+
+const describePlace = ({ name, state, country }) =>
+  [name, state || (country !== HOME_COUNTRY ? country : null)].filter(Boolean).join(", ");
+
+// Resolves with { place } or { ambiguous: [places] }, or {} when nothing matched
+async function findPlace(services, query) {
+  const [name, ...qualifiers] = query.split(",").map(part => part.trim()).filter(Boolean);
+  let candidates = await services.weather.geocode(name);
+
+  // "San Jose, Batangas": keep the places whose province or country was named
+  for (const qualifier of qualifiers.map(q => q.toLowerCase())) {
+    candidates = candidates.filter(({ state, country }) =>
+      state?.toLowerCase().includes(qualifier) || country?.toLowerCase() === qualifier);
+  }
+
+  const local = candidates.filter(place => place.country === HOME_COUNTRY);
+  const pool = local.length ? local : candidates;
+  const distinct = [...new Map(pool.map(place => [describePlace(place), place])).values()];
+  if (!distinct.length) return {};
+  return distinct.length === 1 || qualifiers.length ? { place: distinct[0] } : { ambiguous: distinct.slice(0, 3) };
+}
+
+// --- Forecast summaries (times are the place's own, from the forecast's timezone offset) ---
+
+const localDate = (unixSec, offsetSec) => new Date((unixSec + offsetSec) * 1000);
+const dayKey = date => date.toISOString().slice(0, 10);
+
+function hourLabel(date) {
+  const hour = date.getUTCHours();
+  return `${hour % 12 || 12} ${hour < 12 ? "AM" : "PM"}`;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) ?? 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+function summarizeDay(entries) {
+  return {
+    description: mostCommon(entries.map(entry => entry.weather[0].description)),
+    min: Math.round(Math.min(...entries.map(entry => entry.main.temp_min ?? entry.main.temp))),
+    max: Math.round(Math.max(...entries.map(entry => entry.main.temp_max ?? entry.main.temp))),
+    rain: Math.round(Math.max(...entries.map(entry => entry.pop ?? 0)) * 100),
+  };
+}
+
+// The days `when` covers, as [label key, YYYY-MM-DD] in the place's local time
+function daysFor(when, now) {
+  const today = dayKey(now);
+  const plus = days => dayKey(new Date(now.getTime() + days * 86400000));
+  if (when === "today") return [["weather.today", today]];
+  if (when === "tomorrow") return [["weather.tomorrow", plus(1)]];
+
+  const weekday = now.getUTCDay(); // 0 = Sunday
+  if (weekday === 0) return [["weather.sunday", today]];
+  const toSaturday = 6 - weekday;
+  return [["weather.saturday", plus(toSaturday)], ["weather.sunday", plus(toSaturday + 1)]];
+}
+
+function reportDays(forecast, when, city, language, nowMs) {
+  const offset = forecast.city?.timezone ?? 0;
+  const now = localDate(Math.floor(nowMs / 1000), offset);
+  const byDay = new Map();
+  for (const entry of forecast.list) {
+    const key = dayKey(localDate(entry.dt, offset));
+    byDay.set(key, [...(byDay.get(key) ?? []), entry]);
+  }
+
+  const parts = daysFor(when, now)
+    .filter(([, key]) => byDay.has(key))
+    .map(([label, key]) => t(language, "weather.day_part", { day: t(language, label), ...summarizeDay(byDay.get(key)) }));
+  if (!parts.length) return t(language, "weather.no_forecast", { city });
+  return t(language, "weather.forecast", { city, parts: parts.join(". ") });
+}
+
+function reportRain(forecast, city, language, nowMs) {
+  const offset = forecast.city?.timezone ?? 0;
+  const until = nowMs / 1000 + RAIN_HOURS * 3600;
+  const upcoming = forecast.list.filter(entry => entry.dt + 3 * 3600 > nowMs / 1000 && entry.dt <= until);
+  const wet = upcoming.find(entry => (entry.pop ?? 0) >= RAIN_LIKELY || entry.rain?.["3h"] > 0);
+
+  if (!wet) return t(language, "weather.no_rain", { city, hours: RAIN_HOURS });
+  return t(language, "weather.rain_at", {
+    city,
+    time: hourLabel(localDate(Math.max(wet.dt, Math.floor(nowMs / 1000)), offset)),
+    rain: Math.round((wet.pop ?? 1) * 100),
+  });
+}
+
+async function getWeather({ services, session }, { city = null, when = "now", language = "en", setHome = false } = {}, { now = Date.now } = {}) {
+  if (!services.weather.configured) return t(language, "weather.missing_key");
+  const deviceId = session?.deviceId;
+
+  try {
+    let place = null;
+    if (city) {
+      const found = await findPlace(services, city);
+      if (found.ambiguous) {
+        const options = found.ambiguous.map(describePlace).join(t(language, "weather.or"));
+        return t(language, "weather.ambiguous", { name: found.ambiguous[0].name, options });
+      }
+      place = found.place;
+    } else {
+      place = (deviceId && locations.getHome(deviceId)) || (await findPlace(services, DEFAULT_CITY)).place;
+    }
+    if (!place) return t(language, "weather.not_found");
+
+    const name = describePlace(place);
+    if (setHome && deviceId) {
+      locations.setHome(deviceId, place);
+      console.log(`🏠 Home location for ${deviceId}: ${name}`);
+      return t(language, "weather.home_set", { city: name });
+    }
+
+    if (!WHEN.includes(when) || when === "now") {
+      const weatherData = await services.weather.current(place);
+      if (Number(weatherData.cod) !== 200) return t(language, "weather.not_found");
+      return t(language, "weather.current", {
+        city: name,
+        description: weatherData.weather[0].description,
+        temp: weatherData.main.temp,
+      });
+    }
+
+    const forecast = await services.weather.forecast(place);
+    if (Number(forecast.cod) !== 200 || !forecast.list?.length) return t(language, "weather.not_found");
+    return when === "hours"
+      ? reportRain(forecast, name, language, now())
+      : reportDays(forecast, when, name, language, now());
+  } catch (err) {
+    console.error("🌩️ Weather API error:", err);
+    return t(language, "weather.failed");
+  }
+}
+
+module.exports = {
+  name: "weather",
+  priority: 30,
+  triggers: {
+    en: ["weather", "forecast", "rain", "umbrella", "my location", "my home"],
+    fil: ["panahon", "klima", "ulan", "uulan", "umulan", "payong", "nakatira ako"],
+  },
+
+  tool: {
+    name: "getWeather",
+    description: "Get the weather for a place: current conditions, today's or tomorrow's forecast, this weekend's, or whether it will rain in the next hours. Also saves the user's home location when they tell you where they live or ask you to remember it.",
+    parameters: {
+      type: "object",
+      properties: {
+        city: { type: "string", description: `Place name, optionally with its province or country, e.g. "Cebu" or "San Jose, Batangas". Leave empty for the user's home location (or ${DEFAULT_CITY}).` },
+        when: { type: "string", enum: WHEN, description: "now = current conditions, hours = will it rain in the next hours." },
+        setHome: { type: "boolean", description: "True to save this place as the user's home location instead of reporting the weather." },
+        language: { type: "string", enum: ["en", "fil"], description: "Language the user spoke in." },
+      },
+      additionalProperties: false,
+    },
+  },
+
+  async handle(ctx) {
+    const home = extractHome(ctx.lower);
+    if (home) return getWeather(ctx, { city: home, setHome: true, language: ctx.lang });
+    return getWeather(ctx, { city: extractCity(ctx.lower), when: extractWhen(ctx.lower), language: ctx.lang });
+  },
+
+  // The language detected from the transcript wins over the model's guess
+  async run(args, ctx) {
+    return getWeather(ctx, { ...args, language: ctx.lang ?? args.language });
+  },
+
+  extractCity,
+  extractWhen,
+  extractHome,
+  getWeather,
+};
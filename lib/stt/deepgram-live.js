@@ -0,0 +1,107 @@
+const WebSocket = require("ws");
+const { baseUrls } = require("../services");
+
+// === Deepgram live (streaming) transcription ===
+// PCM frames are forwarded as soon as they arrive from the device; Deepgram answers with
+// interim and final results while the user is still talking. finish() flushes the stream
+// and resolves with the full final transcript.
+
+const FINISH_TIMEOUT_MS = 5000;
+const WAV_HEADER_SIZE = 44;
+
+// `baseUrl` is the prerecorded API's (DEEPGRAM_BASE_URL); live is the same host over WebSocket
+function createLiveTranscriber({
+  baseUrl = baseUrls().deepgram,
+  apiKey = process.env.DEEPGRAM_API_KEY,
+  sampleRate = 16000,
+  channels = 1,
+  language,
+  onTranscript = () => {},
+} = {}) {
+  const params = new URLSearchParams({
+    encoding: "linear16",
+    sample_rate: String(sampleRate),
+    channels: String(channels),
+    interim_results: "true",
+    punctuate: "true",
+    smart_format: "true",
+  });
+  if (language) params.set("language", language);
+
+  const url = `${baseUrl.replace(/^http/, "ws")}/v1/listen`;
+  const socket = new WebSocket(`${url}?${params}`, { headers: { Authorization: `Token ${apiKey}` } });
+  const pending = [];
+  const finals = [];
+  let firstChunk = true;
+  let failure = null;
+  let settle = null;
+
+  const closed = new Promise(resolve => (settle = resolve));
+
+  socket.on("open", () => {
+    for (const chunk of pending.splice(0)) socket.send(chunk);
+  });
+
+  socket.on("message", raw => {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch {
+      return;
+    }
+    if (msg.type !== "Results") return;
+
+    const text = msg.channel?.alternatives?.[0]?.transcript?.trim() || "";
+    if (msg.is_final && text) finals.push(text);
+
+    // Partials carry everything said so far, not just the newest segment
+    const soFar = [...finals, ...(msg.is_final ? [] : [text])].filter(Boolean).join(" ");
+    if (soFar) onTranscript(soFar, false);
+  });
+
+  socket.on("error", err => {
+    failure = err;
+    console.error("❌ Deepgram live error:", err.message);
+  });
+
+  socket.on("close", () => settle());
+
+  return {
+    write(chunk) {
+      // The ESP32 streams a WAV header first; Deepgram expects bare linear16 samples
+      if (firstChunk) {
+        firstChunk = false;
+        if (chunk.subarray(0, 4).toString("ascii") === "RIFF") chunk = chunk.subarray(WAV_HEADER_SIZE);
+      }
+      if (!chunk.length) return;
+
+      if (socket.readyState === WebSocket.OPEN) socket.send(chunk);
+      else if (socket.readyState === WebSocket.CONNECTING) pending.push(chunk);
+    },
+
+    async finish() {
+      if (socket.readyState === WebSocket.CONNECTING) {
+        await new Promise(resolve => {
+          socket.once("open", resolve);
+          socket.once("close", resolve);
+        });
+      }
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: "CloseStream" }));
+
+      const timer = setTimeout(() => socket.terminate(), FINISH_TIMEOUT_MS);
+      await closed;
+      clearTimeout(timer);
+
+      if (failure && !finals.length) throw failure;
+      const transcript = finals.join(" ").trim();
+      onTranscript(transcript, true);
+      return transcript;
+    },
+
+    abort() {
+      if (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN) socket.terminate();
+    },
+  };
+}
+
+module.exports = { createLiveTranscriber };
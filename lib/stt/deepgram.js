@@ -0,0 +1,35 @@
+const fs = require("fs");
+const { baseUrls } = require("../services");
+
+// === Deepgram prerecorded /v1/listen ===
+// detect_language adds the language it heard ("en", "tl") to the result
+
+// `urls` is services.urls (DEEPGRAM_BASE_URL)
+function createDeepgramProvider({ fetch, apiKey = process.env.DEEPGRAM_API_KEY, urls = baseUrls() }) {
+  const url = `${urls.deepgram}/v1/listen?detect_language=true`;
+  if (!fetch) throw new Error("Deepgram STT needs a fetch implementation");
+
+  return {
+    name: "deepgram",
+
+    async transcribe(audioPath) {
+      if (!apiKey) throw new Error("Missing DEEPGRAM_API_KEY");
+
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Authorization": `Token ${apiKey}`,
+          "Content-Type": "audio/wav"
+        },
+        body: await fs.promises.readFile(audioPath)
+      });
+      if (!response.ok) throw new Error(`Deepgram responded ${response.status}`);
+
+      const result = await response.json();
+      const channel = result.results?.channels?.[0];
+      return { text: channel?.alternatives?.[0]?.transcript?.trim() || "", language: channel?.detected_language ?? null };
+    },
+  };
+}
+
+module.exports = { createDeepgramProvider };
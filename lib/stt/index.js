@@ -0,0 +1,63 @@
+const { createWhisperProvider } = require("./whisper");
+const { createDeepgramProvider } = require("./deepgram");
+const { createFixtureProvider } = require("./fixture");
+
+// === Speech-to-Text service ===
+// One transcribe() for every server. The configured provider runs first; if it throws or
+// hears nothing, the fallback provider gets the same file. STT_PROVIDER picks the primary
+// (whisper | deepgram | fixture) and STT_FALLBACK the backup ("none" to disable).
+// Providers take what they need from `deps`, normally createServices() ({ openai, fetch, urls }).
+
+const PROVIDERS = {
+  whisper: createWhisperProvider,
+  deepgram: createDeepgramProvider,
+  fixture: createFixtureProvider,
+};
+
+// Without an explicit choice, fall back to whichever cloud provider has a key
+function defaultFallback(provider) {
+  if (provider === "whisper" && process.env.DEEPGRAM_API_KEY) return "deepgram";
+  if (provider === "deepgram" && process.env.OPENAI_API_KEY) return "whisper";
+  return null;
+}
+
+function createTranscriber({
+  provider = process.env.STT_PROVIDER || "whisper",
+  fallback = process.env.STT_FALLBACK,
+  ...deps
+} = {}) {
+  const backup = fallback === undefined ? defaultFallback(provider) : fallback;
+  const chain = [provider, ...(backup && backup !== "none" && backup !== provider ? [backup] : [])];
+
+  const providers = chain.map(name => {
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`Unknown STT provider: ${name}`);
+    return factory(deps);
+  });
+
+  return {
+    providers: chain,
+
+    // Resolves with { text, language, provider }; text is "" only if every provider heard
+    // nothing, language is what the provider heard when it reports one
+    async transcribe(audioPath) {
+      let lastError = null;
+
+      for (const stt of providers) {
+        try {
+          const result = await stt.transcribe(audioPath);
+          if (result.text) return { ...result, provider: stt.name };
+          console.log(`⚠️ ${stt.name} returned an empty transcript`);
+        } catch (err) {
+          lastError = err;
+          console.error(`❌ ${stt.name} STT error:`, err.message);
+        }
+      }
+
+      if (lastError) throw lastError;
+      return { text: "", provider: null };
+    },
+  };
+}
+
+module.exports = { createTranscriber, PROVIDERS };
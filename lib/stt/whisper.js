@@ -0,0 +1,23 @@
+const fs = require("fs");
+
+// === OpenAI Whisper (prerecorded) ===
+// verbose_json also says which language Whisper heard ("english", "tagalog")
+
+function createWhisperProvider({ openai, model = "whisper-1" }) {
+  if (!openai) throw new Error("Whisper STT needs an OpenAI client");
+
+  return {
+    name: "whisper",
+
+    async transcribe(audioPath) {
+      const transcription = await openai.audio.transcriptions.create({
+        file: fs.createReadStream(audioPath),
+        model,
+        response_format: "verbose_json",
+      });
+      return { text: transcription.text.trim(), language: transcription.language ?? null };
+    },
+  };
+}
+
+module.exports = { createWhisperProvider };
@@ -0,0 +1,163 @@
+// === Spoken times (English / Filipino) ===
+// Turns "in 20 minutes", "at 6am", "tomorrow at 7:30 pm", "sa loob ng dalawampung minuto" or
+// "bukas ng alas sais ng umaga" into a moment. Clock times are Philippine time, which has no
+// daylight saving, so the offset is fixed. A clock time without AM/PM is the next time that
+// clock shows it ("at 6" in the evening is 6 AM tomorrow).
+
+const TIME_ZONE = "Asia/Manila";
+const UTC_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UNIT_MS = {
+  second: 1000, seconds: 1000, sec: 1000, secs: 1000, segundo: 1000,
+  minute: 60000, minutes: 60000, min: 60000, mins: 60000, minuto: 60000, minutos: 60000,
+  hour: 3600000, hours: 3600000, hr: 3600000, hrs: 3600000, oras: 3600000,
+};
+const UNITS = Object.keys(UNIT_MS).sort((a, b) => b.length - a.length).join("|");
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, ninety: 90,
+  isa: 1, isang: 1, dalawa: 2, dalawang: 2, tatlo: 3, tatlong: 3, apat: 4, lima: 5, limang: 5, anim: 6,
+  pito: 7, pitong: 7, walo: 8, walong: 8, siyam: 9, sampu: 10, sampung: 10, labinlima: 15, labinlimang: 15,
+  dalawampu: 20, dalawampung: 20, tatlumpu: 30, tatlumpung: 30, apatnapu: 40, apatnapung: 40,
+  limampu: 50, limampung: 50,
+  // "alas sais": hours are said in Spanish
+  una: 1, dos: 2, tres: 3, kwatro: 4, kuwatro: 4, singko: 5, sais: 6, siyete: 7, otso: 8, nuwebe: 9,
+  diyes: 10, onse: 11, dose: 12,
+};
+const numberPattern = words => `(?:(?:twenty|thirty|forty|fifty)[\\s-](?:one|two|three|four|five|six|seven|eight|nine)|${
+  words.sort((a, b) => b.length - a.length).join("|")})`;
+const NUMBER = numberPattern(Object.keys(NUMBER_WORDS));
+// After at / alas only real numbers: "look at a document" isn't "at 1"
+const CLOCK_NUMBER = numberPattern(Object.keys(NUMBER_WORDS).filter(word => word !== "a" && word !== "an"));
+
+const wordsToNumber = words => words.split(/[\s-]+/).reduce((sum, word) => sum + NUMBER_WORDS[word], 0);
+
+// Number words become digits where a time is being said: before a unit, or after at / alas
+function normalize(lowerText) {
+  return ` ${lowerText} `
+    .replace(/\b(?:half an hour|half hour|kalahating oras)\b/g, "30 minutes")
+    .replace(/\b(?:a quarter of an hour|quarter of an hour|quarter hour)\b/g, "15 minutes")
+    .replace(new RegExp(`\\b${NUMBER}(?=\\s+(?:na\\s+|ng\\s+)?(?:${UNITS})\\b)`, "g"), words => String(wordsToNumber(words)))
+    .replace(new RegExp(`\\b(at|alas|by|bandang)\\s+(${CLOCK_NUMBER})\\b`, "g"), (match, prefix, words) => `${prefix} ${wordsToNumber(words)}`)
+    .replace(/\s+/g, " ");
+}
+
+const DURATION = new RegExp(`(?:\\b(?:in|for|after|within|sa loob ng|pagkalipas ng|makalipas ang)\\s+)?(\\d+(?:\\.\\d+)?)\\s*(?:na\\s+|ng\\s+)?(${UNITS})\\b`, "g");
+
+// Clock patterns, most specific first; each captures the hour, the minutes, then AM/PM or "y medya"
+const CLOCKS = [
+  /\b(?:at|by|for|bandang|mga)?\s*(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\W|$)/,
+  /\b(?:ng|sa|mga|bandang)?\s*alas\s+(\d{1,2})(?::(\d{2})|\s+(y\s+medya))?/,
+  // "at 6", but not "for 5 minutes"
+  new RegExp(`\\b(?:at|by|for|bandang)\\s+(\\d{1,2})(?::(\\d{2}))?\\b(?!\\s*(?:na\\s+|ng\\s+)?(?:${UNITS})\\b)(?![.%\\d])`),
+  /\b(\d{1,2}):(\d{2})\b/,
+];
+const NOON = /\b(?:at\s+)?(?:noon|midday|tanghali|tanghaling tapat)\b/;
+const MIDNIGHT = /\b(?:at\s+)?(?:midnight|hatinggabi)\b/;
+const MORNING = /\b(?:in the morning|this morning|ng umaga|sa umaga|umaga)\b/;
+const EVENING = /\b(?:in the afternoon|in the evening|at night|this afternoon|this evening|tonight|ng hapon|ng gabi|sa hapon|sa gabi|mamayang gabi|mamayang hapon|hapon|gabi)\b/;
+const TOMORROW = /\b(?:tomorrow|bukas)\b/;
+const TODAY = /\b(?:today|later today|later|ngayong araw|ngayon|mamayang|mamaya)\b/;
+
+// Midnight (local) of the day `now` falls on, as a UTC timestamp
+function startOfLocalDay(now) {
+  return Math.floor((now + UTC_OFFSET_MS) / DAY_MS) * DAY_MS - UTC_OFFSET_MS;
+}
+
+function readClock(text) {
+  if (NOON.test(text)) return { hour: 12, minute: 0, meridiem: "pm", span: text.match(NOON)[0] };
+  if (MIDNIGHT.test(text)) return { hour: 0, minute: 0, meridiem: "am", span: text.match(MIDNIGHT)[0] };
+
+  for (const pattern of CLOCKS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const hour = Number(match[1]);
+    const medya = match[3]?.startsWith("y");
+    const minute = medya ? 30 : Number(match[2] ?? 0);
+    if (hour > 23 || minute > 59) continue;
+    const meridiem = medya ? null : match[3]?.replace(/\./g, "") ?? null;
+    return { hour, minute, meridiem, span: match[0] };
+  }
+  return null;
+}
+
+// The moment a spoken clock time means, from `now`
+function resolveClock({ hour, minute, meridiem }, text, now) {
+  let period = meridiem;
+  if (!period && hour <= 12 && MORNING.test(text)) period = "am";
+  if (!period && hour <= 12 && EVENING.test(text)) period = "pm";
+
+  const day = startOfLocalDay(now) + (TOMORROW.test(text) ? DAY_MS : 0);
+  const at = h => day + h * 3600000 + minute * 60000;
+  const to24 = (h, p) => (p === "am" ? h % 12 : (h % 12) + 12);
+
+  // An explicit day: that day, even if the time has passed ("tomorrow at 6"). A bare 12 is
+  // noon before it's midnight ("tomorrow at 12 to eat lunch").
+  const candidates = period ? [to24(hour, period)] : hour > 12 || hour === 0 ? [hour] : [hour, hour + 12];
+  if (TOMORROW.test(text)) return at(candidates[0]);
+
+  for (const offset of [0, DAY_MS]) {
+    const next = candidates.map(h => at(h) + offset).find(time => time > now);
+    if (next) return next;
+  }
+  return null;
+}
+
+// A 24-hour clock time in Philippine time: tomorrow's, or the next time the clock shows it
+function clockTime(hour, minute, { now = Date.now(), tomorrow = false } = {}) {
+  const at = startOfLocalDay(now) + hour * 3600000 + minute * 60000;
+  if (tomorrow) return at + DAY_MS;
+  return at > now ? at : at + DAY_MS;
+}
+
+// { dueAt, durationMs (for "in 20 minutes" / "for 10 minutes", else null), spans } or null.
+// `spans` are the bits of the (normalized) text that said when, for callers that want the rest.
+function parseTime(lowerText, { now = Date.now() } = {}) {
+  const text = normalize(lowerText);
+  const spans = [];
+
+  const clock = readClock(text);
+  if (clock) {
+    const dueAt = resolveClock(clock, text, now);
+    if (!dueAt) return null;
+    spans.push(clock.span);
+    for (const cue of [TOMORROW, TODAY, MORNING, EVENING]) {
+      const match = text.match(cue);
+      if (match) spans.push(match[0]);
+    }
+    return { dueAt, durationMs: null, spans, text };
+  }
+
+  let durationMs = 0;
+  for (const match of text.matchAll(DURATION)) {
+    durationMs += Number(match[1]) * UNIT_MS[match[2]];
+    spans.push(match[0]);
+  }
+  // "1 hour and 30 minutes": the joining word goes with the durations
+  const joined = text.match(new RegExp(`(?:${UNITS})\\s+(?:and|at)\\s+(?=\\d)`));
+  if (joined) spans.push(joined[0].replace(/^\S+/, ""));
+  if (!durationMs) return null;
+  return { dueAt: now + Math.round(durationMs), durationMs: Math.round(durationMs), spans, text };
+}
+
+// "6:05 AM" in Philippine time
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString("en-PH", { timeZone: TIME_ZONE, hour: "numeric", minute: "2-digit" });
+}
+
+// "Tuesday, October 20" / "Martes, Oktubre 20"
+function formatDay(timestamp, language = "en") {
+  return new Date(timestamp).toLocaleDateString(language === "fil" ? "fil" : "en-PH", {
+    timeZone: TIME_ZONE, weekday: "long", month: "long", day: "numeric",
+  });
+}
+
+// 0 = same Philippine day as `now`, 1 = the next one, …
+function daysFrom(timestamp, now = Date.now()) {
+  return Math.round((startOfLocalDay(timestamp) - startOfLocalDay(now)) / DAY_MS);
+}
+
+module.exports = { parseTime, clockTime, formatClock, formatDay, daysFrom, normalize, TIME_ZONE };
@@ -0,0 +1,64 @@
+const { createWavHeader } = require("../wav");
+
+// === Output codecs ===
+// What the device asked for, mapped onto what the backend produces. WAV is built from the
+// backend's raw 24 kHz PCM, resampled to the device's sample rate.
+
+const BACKEND_PCM_RATE = 24000;
+const STREAMING_DATA_SIZE = 0xffffffff - 36; // "unknown length" for headers sent before the audio
+
+function resamplePcm16(pcm, fromRate, toRate) {
+  if (fromRate === toRate) return pcm;
+
+  const inSamples = Math.floor(pcm.length / 2);
+  const outSamples = Math.floor((inSamples * toRate) / fromRate);
+  const out = Buffer.alloc(outSamples * 2);
+  const step = fromRate / toRate;
+
+  for (let i = 0; i < outSamples; i++) {
+    const pos = i * step;
+    const index = Math.floor(pos);
+    const frac = pos - index;
+    const a = pcm.readInt16LE(index * 2);
+    const b = index + 1 < inSamples ? pcm.readInt16LE((index + 1) * 2) : a;
+    out.writeInt16LE(Math.round(a + (b - a) * frac), i * 2);
+  }
+  return out;
+}
+
+async function collect(chunks) {
+  const parts = [];
+  for await (const chunk of chunks) parts.push(Buffer.from(chunk));
+  return Buffer.concat(parts);
+}
+
+const CODECS = {
+  mp3: {
+    backendFormat: "mp3",
+    ext: "mp3",
+    mime: "audio/mpeg",
+  },
+  opus: {
+    backendFormat: "opus",
+    ext: "ogg",
+    mime: "audio/ogg",
+  },
+  wav: {
+    backendFormat: "pcm",
+    ext: "wav",
+    mime: "audio/wav",
+    // Streamed audio: one header up front, then bare PCM sentence after sentence
+    streamHeader: ({ sampleRate }) => createWavHeader(STREAMING_DATA_SIZE, { sampleRate, channels: 1, bitDepth: 16 }),
+    async *transform(chunks, { sampleRate }) {
+      if (sampleRate === BACKEND_PCM_RATE) {
+        yield* chunks;
+        return;
+      }
+      yield resamplePcm16(await collect(chunks), BACKEND_PCM_RATE, sampleRate);
+    },
+    // Whole file: header with the real sizes
+    wrap: (pcm, { sampleRate }) => Buffer.concat([createWavHeader(pcm.length, { sampleRate, channels: 1, bitDepth: 16 }), pcm]),
+  },
+};
+
+module.exports = { CODECS, resamplePcm16, collect, BACKEND_PCM_RATE };
@@ -0,0 +1,162 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { createOpenAiBackend } = require("./openai");
+const { CODECS, collect } = require("./codecs");
+const { streamSpeech, sendInChunks } = require("./stream");
+
+// === Text-to-Speech service ===
+// One speak() for every server. The backend makes the audio (TTS_BACKEND); each device picks
+// how it wants it in SET_CONFIG:
+//   { "tts": { "delivery": "chunked" | "url" | "file", "codec": "mp3" | "wav" | "opus", "sample_rate": 16000 } }
+// chunked – binary frames streamed sentence by sentence (tts start … tts end)
+// url     – rendered to a file served at /tts/<name>, announced with tts url { url }
+// file    – rendered in full, then sent as tts file { bytes } + binary + tts end
+
+const BACKENDS = { openai: createOpenAiBackend };
+const DELIVERIES = ["chunked", "url", "file"];
+const TTS_DIR = process.env.TTS_DIR || path.join(os.tmpdir(), "terracloud-tts");
+const FILE_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_OUTPUT = {
+  delivery: process.env.TTS_DELIVERY || "chunked",
+  codec: process.env.TTS_CODEC || "mp3",
+  sampleRate: 16000,
+};
+
+function parseOutputConfig(raw = {}, base = DEFAULT_OUTPUT) {
+  const output = {
+    delivery: raw.delivery ?? base.delivery,
+    codec: raw.codec ?? base.codec,
+    sampleRate: raw.sample_rate ?? base.sampleRate,
+  };
+
+  if (!DELIVERIES.includes(output.delivery)) throw new Error(`Unsupported TTS delivery: ${output.delivery}`);
+  if (!CODECS[output.codec]) throw new Error(`Unsupported TTS codec: ${output.codec}`);
+  if (!Number.isInteger(output.sampleRate) || output.sampleRate < 8000 || output.sampleRate > 48000)
+    throw new Error(`Unsupported TTS sample rate: ${output.sampleRate}`);
+  return output;
+}
+
+async function* tee(chunks, sink) {
+  for await (const chunk of chunks) {
+    const buffer = Buffer.from(chunk);
+    sink.push(buffer);
+    yield buffer;
+  }
+}
+
+async function joinDeltas(deltas) {
+  let text = "";
+  for await (const delta of deltas) text += delta;
+  return text.trim();
+}
+
+function createTtsService({
+  backend = process.env.TTS_BACKEND || "openai",
+  voice: defaultVoice = "ash",
+  outputDir = TTS_DIR,
+  ...deps
+} = {}) {
+  const factory = BACKENDS[backend];
+  if (!factory) throw new Error(`Unknown TTS backend: ${backend}`);
+  const engine = factory(deps);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  async function synthesize(text, voice, output) {
+    const codec = CODECS[output.codec];
+    const audio = await engine.synthesize({ text, voice, format: codec.backendFormat });
+    return codec.transform ? codec.transform(audio, output) : audio;
+  }
+
+  async function renderFile(text, voice, output) {
+    const codec = CODECS[output.codec];
+    let audio = await collect(await synthesize(text, voice, output));
+    if (codec.wrap) audio = codec.wrap(audio, output);
+
+    const name = `${crypto.randomUUID()}.${codec.ext}`;
+    const filePath = path.join(outputDir, name);
+    await fs.promises.writeFile(filePath, audio);
+    setTimeout(() => fs.promises.unlink(filePath).catch(() => {}), FILE_TTL_MS).unref();
+    return { name, filePath, audio };
+  }
+
+  return {
+    outputDir,
+    backend: engine.name,
+
+    // Speaks to a protocol channel. `text` is a string or an async iterable of deltas;
+    // resolves with { text, synthesized }: the full spoken text and how many of its characters
+    // the backend actually voiced (what a failed turn didn't use stays unbilled).
+    // `onAudio(buffer, { format, mime, ext, text })` gets a playable copy of everything that
+    // was sent (e.g. for replay).
+    async speak(channel, text, {
+      voice = defaultVoice,
+      output = DEFAULT_OUTPUT,
+      baseUrl = process.env.PUBLIC_URL,
+      onAudio = null,
+    } = {}) {
+      const deltas = typeof text === "string" ? [text] : text;
+      const codec = CODECS[output.codec];
+      const audioInfo = { format: output.codec, mime: codec.mime, ext: codec.ext };
+      let delivery = output.delivery;
+
+      if (delivery === "chunked") {
+        const parts = []; // one per sentence, in speaking order
+        let spoken = null;
+        let synthesized = 0;
+        try {
+          spoken = await streamSpeech(channel, deltas, {
+            synthesize: sentence => {
+              const part = [];
+              if (onAudio) parts.push(part);
+              return synthesize(sentence, voice, output).then(audio => {
+                synthesized += sentence.length;
+                return onAudio ? tee(audio, part) : audio;
+              });
+            },
+            startFrame: { format: output.codec, ...(output.codec === "wav" && { sample_rate: output.sampleRate }) },
+            preamble: codec.streamHeader?.(output),
+          });
+          return { text: spoken, synthesized };
+        } finally {
+          const audio = Buffer.concat(parts.flat());
+          if (audio.length) onAudio(codec.wrap ? codec.wrap(audio, output) : audio, { ...audioInfo, text: spoken });
+        }
+      }
+
+      if (delivery === "url" && !baseUrl) {
+        console.log("⚠️ No public URL known for TTS files, sending the file instead");
+        delivery = "file";
+      }
+
+      const fullText = await joinDeltas(deltas);
+      if (!fullText) return { text: fullText, synthesized: 0 };
+
+      let synthesized = 0;
+      try {
+        const { name, audio } = await renderFile(fullText, voice, output);
+        synthesized = fullText.length;
+        onAudio?.(audio, { ...audioInfo, text: fullText });
+
+        if (delivery === "url") {
+          const url = `${baseUrl}/tts/${name}`;
+          console.log(`🎵 TTS URL: ${url}`);
+          channel.send("tts", { event: "url", url, format: output.codec });
+        } else {
+          channel.send("tts", { event: "file", name, format: output.codec, bytes: audio.length });
+          sendInChunks(channel, audio);
+          channel.send("tts", { event: "end", bytes: audio.length });
+          console.log(`✅ Sent ${audio.length} bytes of TTS audio`);
+        }
+      } catch (err) {
+        console.error("❌ TTS error:", err);
+        channel.send("error", { code: "TTS_FAILED", msg: "TTS generation failed" });
+      }
+      return { text: fullText, synthesized };
+    },
+  };
+}
+
+module.exports = { createTtsService, parseOutputConfig, DEFAULT_OUTPUT, DELIVERIES, BACKENDS };
@@ -0,0 +1,18 @@
+// === OpenAI speech backend (gpt-4o-mini-tts) ===
+
+function createOpenAiBackend({ openai, model = "gpt-4o-mini-tts" }) {
+  if (!openai) throw new Error("OpenAI TTS needs an OpenAI client");
+
+  return {
+    name: "openai",
+    formats: ["mp3", "opus", "pcm"], // pcm = raw 24 kHz 16-bit mono
+
+    // Resolves with an async iterable of audio bytes as they come off the wire
+    async synthesize({ text, voice, format }) {
+      const response = await openai.audio.speech.create({ model, voice, input: text, response_format: format });
+      return response.body;
+    },
+  };
+}
+
+module.exports = { createOpenAiBackend };
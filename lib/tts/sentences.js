@@ -0,0 +1,48 @@
+// === Sentence splitter for streamed replies ===
+// Collects text deltas from a streaming completion and hands back whole sentences,
+// so each one can be synthesized as soon as it's finished.
+
+const BOUNDARY = /[.!?…。]+["'”’)\]]*\s+|\n+/g;
+
+function createSentenceSplitter({ minLength = 20 } = {}) {
+  let buffer = "";
+
+  return {
+    // Returns the sentences completed by this delta (possibly none)
+    push(delta) {
+      buffer += delta;
+      const sentences = [];
+      let start = 0;
+      let match;
+
+      BOUNDARY.lastIndex = 0;
+      while ((match = BOUNDARY.exec(buffer))) {
+        const end = match.index + match[0].length;
+        const sentence = buffer.slice(start, end).trim();
+        // Short fragments ("Hi!", "Yes.") ride along with the next sentence
+        if (sentence.length >= minLength) {
+          sentences.push(sentence);
+          start = end;
+        }
+      }
+
+      buffer = buffer.slice(start);
+      return sentences;
+    },
+
+    // Whatever is left once the stream ends
+    flush() {
+      const rest = buffer.trim();
+      buffer = "";
+      return rest ? [rest] : [];
+    },
+  };
+}
+
+async function* splitSentences(deltas, options) {
+  const splitter = createSentenceSplitter(options);
+  for await (const delta of deltas) yield* splitter.push(delta);
+  yield* splitter.flush();
+}
+
+module.exports = { createSentenceSplitter, splitSentences };
@@ -0,0 +1,86 @@
+const { splitSentences } = require("./sentences");
+
+// === Sentence-level streaming TTS ===
+// Reply text arrives as deltas; each finished sentence is synthesized right away and its
+// audio bytes are piped to the device as they come back, in order. Framing messages tell the
+// device when to start and stop playback:
+//   tts start { format, … }  →  tts sentence { index, text } + binary…  →  tts end { sentences, bytes }
+
+const CHUNK_SIZE = 4096;
+
+function sendInChunks(channel, buffer, chunkSize = CHUNK_SIZE) {
+  for (let i = 0; i < buffer.length && channel.isOpen; i += chunkSize) {
+    channel.sendBinary(buffer.subarray(i, i + chunkSize));
+  }
+}
+
+// `synthesize(sentence)` resolves with an async iterable of audio bytes; `preamble` (e.g. a
+// WAV header) goes out once before the first sentence.
+async function streamSpeech(channel, deltas, { synthesize, startFrame = { format: "mp3" }, preamble = null }) {
+  const queue = [];
+  const sentences = [];
+  let spoken = 0;
+  let done = false;
+  let failure = null;
+  let failed = false; // audio failed: the rest of the text is still read, but not synthesized
+  let wake = null;
+  let bytes = 0;
+
+  const notify = () => {
+    if (wake) wake();
+    wake = null;
+  };
+
+  // Producer: cut the text into sentences and start synthesizing each one immediately
+  const producer = (async () => {
+    try {
+      for await (const sentence of splitSentences(deltas)) {
+        sentences.push(sentence);
+        if (failed) continue;
+        const audio = synthesize(sentence);
+        audio.catch(() => {}); // surfaced by the consumer
+        queue.push({ sentence, audio });
+        notify();
+      }
+    } catch (err) {
+      failure = err;
+    } finally {
+      done = true;
+      notify();
+    }
+  })();
+
+  channel.send("tts", { event: "start", ...startFrame });
+  if (preamble) sendInChunks(channel, preamble);
+
+  try {
+    // Consumer: pipe each sentence's audio as it arrives, keeping sentence order
+    while (true) {
+      while (!queue.length && !done) await new Promise(resolve => (wake = resolve));
+      if (!queue.length) break;
+
+      const { sentence, audio } = queue.shift();
+      channel.send("tts", { event: "sentence", index: spoken++, text: sentence });
+
+      for await (const chunk of await audio) {
+        const buffer = Buffer.from(chunk);
+        bytes += buffer.length;
+        sendInChunks(channel, buffer);
+      }
+    }
+  } catch (err) {
+    failed = true;
+    console.error("❌ Streaming TTS error:", err);
+    channel.send("error", { code: "TTS_FAILED", msg: "TTS generation failed" });
+  }
+
+  // Let the reply finish even if audio failed, so the full text still reaches history
+  await producer;
+  channel.send("tts", { event: "end", sentences: spoken, bytes });
+  if (failure) throw failure;
+
+  console.log(`✅ Streamed ${spoken} sentence(s), ${bytes} bytes of TTS audio`);
+  return sentences.join(" ");
+}
+
+module.exports = { streamSpeech, sendInChunks, CHUNK_SIZE };
@@ -0,0 +1,204 @@
+const fs = require("fs");
+const { t } = require("./i18n");
+
+// === Per-device quotas and usage accounting ===
+// Three budgets per device, each overridable from the environment (0 = unlimited):
+//   QUOTA_REQUESTS_PER_MINUTE     utterances handled per rolling minute     (default 10)
+//   QUOTA_AUDIO_SECONDS_PER_DAY   seconds of recorded audio sent to STT     (default 1800)
+//   QUOTA_TTS_CHARS_PER_DAY       characters of text turned into speech     (default 20000)
+// Days roll over at midnight Asia/Manila. Chat token usage is read off every OpenAI response
+// that goes through meter() and reported next to the budgets, but isn't capped.
+
+const USAGE_FILE = process.env.USAGE_FILE || "usage.json";
+const TIME_ZONE = "Asia/Manila";
+const WINDOW_MS = 60 * 1000;
+const NOTICE_INTERVAL_MS = 60 * 1000; // speak the "quota exceeded" reply at most this often
+
+function limitFromEnv(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === "" ? fallback : Number(value);
+}
+
+const LIMITS = {
+  requestsPerMinute: limitFromEnv("QUOTA_REQUESTS_PER_MINUTE", 10),
+  audioSecondsPerDay: limitFromEnv("QUOTA_AUDIO_SECONDS_PER_DAY", 1800),
+  ttsCharsPerDay: limitFromEnv("QUOTA_TTS_CHARS_PER_DAY", 20000),
+};
+
+// The message is the quota.* line from lib/i18n.js, in the device's language
+class QuotaError extends Error {
+  constructor(quota, message, { retryAfterSec, notify }) {
+    super(message);
+    this.name = "QuotaError";
+    this.code = "QUOTA_EXCEEDED";
+    this.quota = quota;
+    this.retryAfterSec = retryAfterSec;
+    this.notify = notify; // false while the device was already told recently
+  }
+
+  // Structured frame sent back to the device
+  toFrame() {
+    return { type: "error", code: this.code, reason: this.quota, msg: this.message };
+  }
+}
+
+const recentRequests = new Map(); // deviceId → timestamps inside the rolling minute
+const lastNotice = new Map();
+let store = null;
+
+function loadStore() {
+  if (store) return store;
+  try {
+    store = JSON.parse(fs.readFileSync(USAGE_FILE, "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`⚠️ Failed to load ${USAGE_FILE}:`, err);
+    store = {};
+  }
+  return store;
+}
+
+function saveStore() {
+  try {
+    fs.writeFileSync(USAGE_FILE, JSON.stringify(store, null, 2));
+  } catch (err) {
+    console.error(`⚠️ Failed to save ${USAGE_FILE}:`, err);
+  }
+}
+
+function today() {
+  return new Date().toLocaleDateString("en-CA", { timeZone: TIME_ZONE }); // YYYY-MM-DD
+}
+
+function secondsUntilMidnight() {
+  const [h, m, s] = new Date()
+    .toLocaleTimeString("en-GB", { timeZone: TIME_ZONE, hour12: false })
+    .split(":")
+    .map(Number);
+  return 24 * 3600 - (h * 3600 + m * 60 + s);
+}
+
+function emptyCounters() {
+  return { requests: 0, audioSeconds: 0, ttsChars: 0, promptTokens: 0, completionTokens: 0 };
+}
+
+function recordFor(deviceId) {
+  const devices = loadStore();
+  const record = (devices[deviceId] ??= { day: today(), today: emptyCounters(), total: emptyCounters() });
+  if (record.day !== today()) {
+    record.day = today();
+    record.today = emptyCounters();
+  }
+  return record;
+}
+
+function add(deviceId, amounts) {
+  const record = recordFor(deviceId);
+  for (const [key, amount] of Object.entries(amounts)) {
+    if (!amount) continue;
+    record.today[key] = Math.round((record.today[key] + amount) * 10) / 10;
+    record.total[key] = Math.round((record.total[key] + amount) * 10) / 10;
+  }
+  saveStore();
+}
+
+function exceeded(deviceId, quota, language, retryAfterSec) {
+  const now = Date.now();
+  const notify = now - (lastNotice.get(deviceId) ?? 0) >= NOTICE_INTERVAL_MS;
+  if (notify) lastNotice.set(deviceId, now);
+  return new QuotaError(quota, t(language, `quota.${quota}`), { retryAfterSec, notify });
+}
+
+// Counts one utterance against the device's budgets as it starts (before any audio goes to
+// STT, live or not), or throws a QuotaError if a budget is already spent. `language` is the
+// one the refusal is worded in.
+function admit(deviceId, { language } = {}) {
+  const now = Date.now();
+  const recent = (recentRequests.get(deviceId) ?? []).filter(time => now - time < WINDOW_MS);
+  recentRequests.set(deviceId, recent);
+
+  const { today: used } = recordFor(deviceId);
+
+  if (LIMITS.requestsPerMinute && recent.length >= LIMITS.requestsPerMinute)
+    throw exceeded(deviceId, "requests_per_minute", language, Math.ceil((WINDOW_MS - (now - recent[0])) / 1000));
+  if (LIMITS.audioSecondsPerDay && used.audioSeconds >= LIMITS.audioSecondsPerDay)
+    throw exceeded(deviceId, "audio_seconds_per_day", language, secondsUntilMidnight());
+  if (LIMITS.ttsCharsPerDay && used.ttsChars >= LIMITS.ttsCharsPerDay)
+    throw exceeded(deviceId, "tts_chars_per_day", language, secondsUntilMidnight());
+
+  recent.push(now);
+  add(deviceId, { requests: 1 });
+}
+
+// Counts a finished recording against the daily audio budget, or throws a QuotaError if it
+// would go over (batch STT then never sees it)
+function admitAudio(deviceId, audioMs, { language } = {}) {
+  const audioSeconds = audioMs / 1000;
+  const { today: used } = recordFor(deviceId);
+  if (LIMITS.audioSecondsPerDay && used.audioSeconds + audioSeconds > LIMITS.audioSecondsPerDay)
+    throw exceeded(deviceId, "audio_seconds_per_day", language, secondsUntilMidnight());
+  add(deviceId, { audioSeconds });
+}
+
+// Counts the characters the TTS backend actually voiced
+function recordTts(deviceId, chars) {
+  if (chars) add(deviceId, { ttsChars: chars });
+}
+
+function recordTokens(deviceId, usage) {
+  if (usage) add(deviceId, { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens });
+}
+
+// An OpenAI client whose chat completions are billed to `deviceId`. Streams ask for the usage
+// chunk OpenAI only sends on request; everything else is the real client.
+function meter(openai, deviceId) {
+  const completions = openai.chat.completions;
+
+  async function create(params, options) {
+    if (!params.stream) {
+      const response = await completions.create(params, options);
+      recordTokens(deviceId, response.usage);
+      return response;
+    }
+
+    const stream = await completions.create(
+      { ...params, stream_options: { ...params.stream_options, include_usage: true } },
+      options
+    );
+    return (async function* () {
+      for await (const chunk of stream) {
+        if (chunk.usage) recordTokens(deviceId, chunk.usage);
+        yield chunk;
+      }
+    })();
+  }
+
+  return Object.create(openai, { chat: { value: { completions: { create } } } });
+}
+
+function getUsage(deviceId) {
+  const record = loadStore()[deviceId];
+  const current = record?.day === today();
+  return {
+    deviceId,
+    day: today(),
+    today: current ? record.today : emptyCounters(),
+    total: record?.total ?? emptyCounters(),
+    limits: LIMITS,
+  };
+}
+
+function listUsage() {
+  return Object.keys(loadStore()).map(getUsage);
+}
+
+module.exports = {
+  admit,
+  admitAudio,
+  recordTts,
+  recordTokens,
+  meter,
+  getUsage,
+  listUsage,
+  QuotaError,
+  LIMITS,
+};
@@ -0,0 +1,106 @@
+// === Energy-based voice activity detection ===
+// Runs on 16-bit little-endian PCM at the device's rate (16 kHz mono, like audio.wav, unless
+// its config says otherwise; channels are interleaved and measured together). Frames louder than the
+// adaptive noise floor count as speech; enough speech opens an utterance, enough silence
+// closes it. A short pre-roll is kept so the first syllable isn't clipped.
+
+function frameRms(frame) {
+  let sum = 0;
+  for (let i = 0; i + 1 < frame.length; i += 2) {
+    const sample = frame.readInt16LE(i);
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / Math.max(1, frame.length / 2));
+}
+
+function createVad({
+  sampleRate = 16000,
+  channels = 1,
+  frameMs = 20,
+  minThreshold = 150, // RMS below this is always silence
+  noiseRatio = 2.5, // speech must be this many times louder than the noise floor
+  speechStartMs = 60,
+  silenceMs = 800,
+  maxUtteranceMs = 15000,
+  prerollMs = 300,
+  onSpeechStart = () => {},
+  onAudio = () => {},
+  onSpeechEnd = () => {},
+} = {}) {
+  const frameBytes = Math.round((sampleRate * frameMs) / 1000) * 2 * channels;
+  const maxPrerollFrames = Math.ceil(prerollMs / frameMs);
+
+  let remainder = Buffer.alloc(0);
+  let preroll = [];
+  let noiseFloor = minThreshold / noiseRatio;
+  let speaking = false;
+  let voicedMs = 0;
+  let silentMs = 0;
+  let utteranceMs = 0;
+
+  function endUtterance(reason) {
+    speaking = false;
+    voicedMs = 0;
+    onSpeechEnd({ durationMs: utteranceMs, reason });
+  }
+
+  function processFrame(frame) {
+    const rms = frameRms(frame);
+    const voiced = rms > Math.max(minThreshold, noiseFloor * noiseRatio);
+
+    if (!speaking) {
+      preroll.push(frame);
+      if (preroll.length > maxPrerollFrames) preroll.shift();
+
+      if (voiced) {
+        voicedMs += frameMs;
+      } else {
+        voicedMs = 0;
+        noiseFloor = noiseFloor * 0.95 + rms * 0.05;
+      }
+
+      if (voicedMs >= speechStartMs) {
+        speaking = true;
+        silentMs = 0;
+        utteranceMs = preroll.length * frameMs;
+        onSpeechStart();
+        onAudio(Buffer.concat(preroll));
+        preroll = [];
+      }
+      return;
+    }
+
+    onAudio(frame);
+    utteranceMs += frameMs;
+    silentMs = voiced ? 0 : silentMs + frameMs;
+
+    if (silentMs >= silenceMs) endUtterance("silence");
+    else if (utteranceMs >= maxUtteranceMs) endUtterance("max_length");
+  }
+
+  return {
+    push(chunk) {
+      const data = remainder.length ? Buffer.concat([remainder, chunk]) : chunk;
+      let offset = 0;
+      for (; offset + frameBytes <= data.length; offset += frameBytes) {
+        processFrame(data.subarray(offset, offset + frameBytes));
+      }
+      remainder = Buffer.from(data.subarray(offset));
+    },
+
+    // Drop any half-heard utterance (e.g. while the assistant is busy replying)
+    reset() {
+      remainder = Buffer.alloc(0);
+      preroll = [];
+      speaking = false;
+      voicedMs = 0;
+      silentMs = 0;
+    },
+
+    get speaking() {
+      return speaking;
+    },
+  };
+}
+
+module.exports = { createVad, frameRms };
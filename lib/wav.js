@@ -0,0 +1,160 @@
+const fs = require("fs");
+
+// === WAV helpers ===
+// The ESP32 records 16 kHz, 16-bit, mono PCM. It streams the header before it knows the
+// length, so uploads arrive with RIFF/data sizes of 0; prepareWavFile() validates the
+// header and patches those sizes (or wraps headerless PCM) before anything reads the file.
+
+const HEADER_SIZE = 44;
+const DEFAULT_FORMAT = { sampleRate: 16000, channels: 1, bitDepth: 16 };
+const SUPPORTED_SAMPLE_RATES = [8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000];
+const HEADER_PROBE_SIZE = 4096;
+
+class WavError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "WavError";
+    this.code = "BAD_AUDIO";
+    this.reason = reason;
+  }
+
+  // Structured frame sent back to the device
+  toFrame() {
+    return { type: "error", code: this.code, reason: this.reason, msg: this.message };
+  }
+}
+
+function createWavHeader(dataLength = 0, { sampleRate, channels, bitDepth } = DEFAULT_FORMAT) {
+  const blockAlign = channels * (bitDepth / 8);
+  const header = Buffer.alloc(HEADER_SIZE);
+
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16); // PCM fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitDepth, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+function isWav(buffer) {
+  return buffer.length >= 4 && buffer.toString("ascii", 0, 4) === "RIFF";
+}
+
+// Walks the RIFF chunks up to "data"; sizes are reported as written (possibly 0)
+function parseWavHeader(buffer) {
+  if (!isWav(buffer) || buffer.length < 12 || buffer.toString("ascii", 8, 12) !== "WAVE")
+    throw new WavError("not_wav", "Upload is not a RIFF/WAVE file");
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === "fmt ") {
+      if (body + 16 > buffer.length) break;
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitDepth: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === "data") {
+      if (!format) throw new WavError("missing_fmt", "WAV data chunk comes before its fmt chunk");
+      return { format, riffSize: buffer.readUInt32LE(4), dataOffset: body, dataSize: size };
+    }
+
+    offset = body + size + (size % 2); // chunks are word-aligned
+  }
+
+  throw new WavError("truncated_header", "WAV header is incomplete (no data chunk found)");
+}
+
+function validateFormat({ audioFormat = 1, sampleRate, channels, bitDepth }) {
+  if (audioFormat !== 1)
+    throw new WavError("unsupported_format", `Only PCM WAV is supported (got format ${audioFormat})`);
+  if (!SUPPORTED_SAMPLE_RATES.includes(sampleRate))
+    throw new WavError("unsupported_sample_rate", `Unsupported sample rate ${sampleRate} Hz`);
+  if (channels !== 1 && channels !== 2)
+    throw new WavError("unsupported_channels", `Unsupported channel count ${channels}`);
+  if (bitDepth !== 16)
+    throw new WavError("unsupported_bit_depth", `Only 16-bit PCM is supported (got ${bitDepth}-bit)`);
+}
+
+async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    const head = Buffer.alloc(Math.min(size, HEADER_PROBE_SIZE));
+    await handle.read(head, 0, head.length, 0);
+    return { head, size };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Validates a finished upload in place. WAV files get their RIFF/data sizes patched; raw
+// PCM gets a generated header using `rawFormat`. Resolves with { format, dataSize, durationMs }.
+async function prepareWavFile(filePath, rawFormat = DEFAULT_FORMAT) {
+  const { head, size } = await readHead(filePath);
+  if (!size) throw new WavError("empty", "Recording is empty");
+
+  if (!isWav(head)) {
+    validateFormat(rawFormat);
+    const blockAlign = rawFormat.channels * (rawFormat.bitDepth / 8);
+    const pcm = await fs.promises.readFile(filePath);
+    const dataSize = pcm.length - (pcm.length % blockAlign);
+    if (!dataSize) throw new WavError("empty", "Recording is empty");
+
+    await fs.promises.writeFile(filePath, Buffer.concat([createWavHeader(dataSize, rawFormat), pcm.subarray(0, dataSize)]));
+    return { format: { ...rawFormat, audioFormat: 1 }, dataSize, durationMs: durationOf(dataSize, rawFormat), wrapped: true };
+  }
+
+  const { format, riffSize, dataOffset, dataSize: declared } = parseWavHeader(head);
+  validateFormat(format);
+
+  const blockAlign = format.channels * (format.bitDepth / 8);
+  const available = size - dataOffset;
+  const dataSize = available - (available % blockAlign);
+  if (dataSize <= 0) throw new WavError("empty", "Recording has no audio samples");
+
+  if (declared !== dataSize || riffSize !== dataOffset - 8 + dataSize) {
+    const handle = await fs.promises.open(filePath, "r+");
+    try {
+      const field = Buffer.alloc(4);
+      field.writeUInt32LE(dataOffset - 8 + dataSize);
+      await handle.write(field, 0, 4, 4);
+      field.writeUInt32LE(dataSize);
+      await handle.write(field, 0, 4, dataOffset - 4);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  return { format, dataSize, durationMs: durationOf(dataSize, format), wrapped: false };
+}
+
+function durationOf(dataSize, { sampleRate, channels, bitDepth }) {
+  return Math.round((dataSize / (sampleRate * channels * (bitDepth / 8))) * 1000);
+}
+
+module.exports = {
+  WavError,
+  createWavHeader,
+  parseWavHeader,
+  validateFormat,
+  prepareWavFile,
+  isWav,
+  HEADER_SIZE,
+  DEFAULT_FORMAT,
+};
@@ -0,0 +1,265 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const express = require("express");
+const WebSocket = require("ws");
+
+// === Local stand-in for OpenAI, Deepgram, NewsData and OpenWeatherMap ===
+// Serves canned transcripts, chat completions (streamed or not, with tool calls), speech
+// audio, headlines and weather on one port, so the servers and the test suite run with no
+// network. Start it and point the servers at it:
+//
+//   node mock/server.js                      # listens on MOCK_PORT (default 4010)
+//   MOCK_SERVICES_URL=http://localhost:4010 OPENAI_API_KEY=mock node index.js
+//
+// Tests create one in-process with createMockServer() and change `mock.options` between
+// cases; every request is recorded in `mock.requests`.
+
+const SAMPLE_MP3 = path.join(__dirname, "..", "tts.mp3");
+const PCM_RATE = 24000; // what OpenAI sends for response_format "pcm"
+
+const DEFAULT_OPTIONS = {
+  transcript: "What's the weather in Cebu?",
+  // Chat replies: a string, or (messages, body) => string
+  reply: messages => `Mock reply to: ${lastUserText(messages)}`,
+  // JSON-mode replies (long-term memory): every "my …" / "I live …" the user said becomes a fact
+  memory: messages => {
+    const said = lastUserText(messages).match(/^User: .+$/gm) ?? [];
+    const facts = said.map(line => line.slice("User: ".length)).filter(text => /\b(?:my|i live|i'm|i am)\b/i.test(text));
+    return JSON.stringify({ summary: `Mock summary of ${said.length} things the user said.`, facts });
+  },
+  // Tool calls are only made when the request offers tools and the user's words match
+  toolTriggers: {
+    getWeather: /weather|panahon|rain|ulan/i,
+    getLatestNews: /news|headlines|balita/i,
+    manageReminders: /remind|timer|alarm|paalala/i,
+  },
+  headlines: [
+    "Senate approves new budget for public schools",
+    "Typhoon signal lifted over Eastern Visayas",
+    "Gilas Pilipinas wins opening game",
+    "Peso closes stronger against the dollar",
+    "New MRT trains begin trial runs",
+  ],
+  weather: { temp: 31.2, description: "scattered clouds", humidity: 70 },
+  // Forecast: every 3 hours for 5 days from now; `rainFromHour` hours ahead it starts raining
+  forecast: { description: "light rain", rainFromHour: 6, timezone: 8 * 3600 },
+  unknownCities: ["nowhere"],
+  // Geocoding results for names that aren't one obvious place; any other name is one place in PH
+  places: {
+    "san jose": [
+      { name: "San Jose", state: "Batangas", country: "PH", lat: 13.88, lon: 121.1 },
+      { name: "San Jose", state: "Nueva Ecija", country: "PH", lat: 15.79, lon: 120.99 },
+      { name: "San Jose", state: "California", country: "US", lat: 37.34, lon: -121.89 },
+    ],
+  },
+};
+
+function lastUserText(messages = []) {
+  const message = [...messages].reverse().find(m => m.role === "user");
+  return typeof message?.content === "string" ? message.content : "";
+}
+
+function createMockServer(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const requests = [];
+  const app = express();
+  const server = http.createServer(app);
+  let completionCount = 0;
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: { ...req.query } });
+    next();
+  });
+
+  // --- OpenAI ---
+  app.post("/v1/audio/transcriptions", express.raw({ type: () => true, limit: "50mb" }), (req, res) => {
+    res.json({ text: options.transcript });
+  });
+
+  app.post("/v1/audio/speech", express.json(), (req, res) => {
+    const format = req.body?.response_format || "mp3";
+    if (format === "pcm") return res.type("application/octet-stream").send(Buffer.alloc(PCM_RATE)); // 0.5 s of silence
+    if (format === "mp3" && fs.existsSync(SAMPLE_MP3)) return res.type("audio/mpeg").sendFile(SAMPLE_MP3);
+    res.type("application/octet-stream").send(Buffer.alloc(1024));
+  });
+
+  app.post("/v1/chat/completions", express.json({ limit: "5mb" }), (req, res) => {
+    const body = req.body ?? {};
+    const messages = body.messages ?? [];
+    requests.at(-1).body = body;
+    const id = `chatcmpl-mock-${++completionCount}`;
+    const usage = { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 };
+
+    // Offer a tool call once per conversation turn, then answer with the tool's result
+    const answered = messages.at(-1)?.role === "tool";
+    const tool = !answered && body.tools?.find(({ function: fn }) => options.toolTriggers[fn.name]?.test(lastUserText(messages)));
+    const toolCalls = tool && [{ id: `call_${completionCount}`, type: "function", function: { name: tool.function.name, arguments: "{}" } }];
+    const content = toolCalls
+      ? null
+      : answered
+        ? `Mock reply: ${messages.at(-1).content}`
+        : body.response_format?.type === "json_object"
+          ? options.memory(messages, body)
+          : typeof options.reply === "function" ? options.reply(messages, body) : options.reply;
+
+    if (!body.stream) {
+      const message = { role: "assistant", content, ...(toolCalls && { tool_calls: toolCalls }) };
+      return res.json({
+        id,
+        object: "chat.completion",
+        created: Math.floor(Date.now() / 1000),
+        model: body.model,
+        choices: [{ index: 0, message, finish_reason: toolCalls ? "tool_calls" : "stop" }],
+        usage,
+      });
+    }
+
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+    const send = (delta, finishReason = null) => {
+      const chunk = { id, object: "chat.completion.chunk", created: Math.floor(Date.now() / 1000), model: body.model, choices: [{ index: 0, delta, finish_reason: finishReason }] };
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    };
+
+    send({ role: "assistant", content: "" });
+    if (toolCalls) {
+      send({ tool_calls: toolCalls.map((call, index) => ({ index, ...call })) });
+    } else {
+      for (const word of content.match(/\S+\s*/g) ?? []) send({ content: word });
+    }
+    send({}, toolCalls ? "tool_calls" : "stop");
+    if (body.stream_options?.include_usage) {
+      res.write(`data: ${JSON.stringify({ id, object: "chat.completion.chunk", choices: [], usage })}\n\n`);
+    }
+    res.end("data: [DONE]\n\n");
+  });
+
+  // --- Deepgram (prerecorded; the live API is the WebSocket below) ---
+  app.post("/v1/listen", express.raw({ type: () => true, limit: "50mb" }), (req, res) => {
+    res.json({ results: { channels: [{ alternatives: [{ transcript: options.transcript, confidence: 0.99 }] }] } });
+  });
+
+  // --- NewsData.io ---
+  // Two pages of the same headlines; the second one's are marked "(page 2)"
+  app.get("/api/1/news", (req, res) => {
+    const topic = req.query.q || req.query.category;
+    const page = req.query.page === "page-2" ? 2 : 1;
+    res.json({
+      status: "success",
+      totalResults: options.headlines.length * 2,
+      nextPage: page === 1 ? "page-2" : null,
+      results: options.headlines.map((headline, i) => ({
+        article_id: `mock-${page}-${i}`,
+        title: [headline, topic && `(${topic})`, page === 2 && "(page 2)"].filter(Boolean).join(" "),
+        description: `More about this: ${headline.toLowerCase()}.`,
+        link: `https://example.com/news/${page}/${i}`,
+        source_id: "mocknews",
+        source_name: "Mock News",
+        pubDate: new Date(Date.now() - i * 3600 * 1000).toISOString().replace("T", " ").slice(0, 19),
+        country: [req.query.country || "ph"],
+        language: req.query.language || "en",
+      })),
+    });
+  });
+
+  // --- OpenWeatherMap ---
+  const titleCase = name => name.replace(/\b\p{L}/gu, letter => letter.toUpperCase());
+  const placeAt = (lat, lon) => Object.values(options.places).flat()
+    .find(place => place.lat.toFixed(2) === Number(lat).toFixed(2) && place.lon.toFixed(2) === Number(lon).toFixed(2));
+
+  app.get("/geo/1.0/direct", (req, res) => {
+    const name = String(req.query.q || "").trim().toLowerCase();
+    if (!name || options.unknownCities.includes(name)) return res.json([]);
+    res.json(options.places[name] ?? [{ name: titleCase(name), state: null, country: "PH", lat: 10.32, lon: 123.89 }]);
+  });
+
+  app.get("/data/2.5/weather", (req, res) => {
+    const city = req.query.q ? String(req.query.q) : placeAt(req.query.lat, req.query.lon)?.name ?? "Mock City";
+    if (!city || options.unknownCities.includes(city.toLowerCase()))
+      return res.status(404).json({ cod: "404", message: "city not found" });
+
+    const { temp, description, humidity } = options.weather;
+    res.json({
+      cod: 200,
+      name: city,
+      weather: [{ main: "Clouds", description }],
+      main: { temp, feels_like: temp + 2, humidity },
+      wind: { speed: 3.1 },
+    });
+  });
+
+  app.get("/data/2.5/forecast", (req, res) => {
+    const { temp } = options.weather;
+    const { description, rainFromHour, timezone } = options.forecast;
+    const start = Math.floor(Date.now() / 1000 / 10800) * 10800;
+    const list = Array.from({ length: 40 }, (_, i) => {
+      const raining = rainFromHour !== null && i * 3 >= rainFromHour;
+      return {
+        dt: start + i * 10800,
+        main: { temp, temp_min: temp - 2 + (i % 8) / 2, temp_max: temp + (i % 8) / 2, humidity: 70 },
+        weather: [{ main: raining ? "Rain" : "Clouds", description: raining ? description : options.weather.description }],
+        pop: raining ? 0.8 : 0.1,
+      };
+    });
+    res.json({ cod: "200", cnt: list.length, list, city: { name: placeAt(req.query.lat, req.query.lon)?.name ?? "Mock City", timezone } });
+  });
+
+  app.use((req, res) => res.status(404).json({ error: `The mock doesn't serve ${req.method} ${req.path}` }));
+
+  // Deepgram live: an interim result once audio flows, the final one on CloseStream
+  const live = new WebSocket.Server({ server, path: "/v1/listen" });
+  live.on("connection", (ws, req) => {
+    requests.push({ method: "WS", path: "/v1/listen", query: Object.fromEntries(new URL(req.url, "http://mock").searchParams) });
+    const result = (transcript, isFinal) =>
+      JSON.stringify({ type: "Results", is_final: isFinal, channel: { alternatives: [{ transcript }] } });
+    let interimSent = false;
+
+    ws.on("message", (data, isBinary) => {
+      if (isBinary) {
+        if (!interimSent) ws.send(result(options.transcript.split(" ")[0], false));
+        interimSent = true;
+        return;
+      }
+      let msg = null;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      if (msg.type === "CloseStream") {
+        ws.send(result(options.transcript, true));
+        ws.close();
+      }
+    });
+  });
+
+  return {
+    app,
+    server,
+    options,
+    requests,
+
+    // Resolves with the base URL to use as MOCK_SERVICES_URL; port 0 picks a free one
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, () => resolve(`http://localhost:${server.address().port}`));
+      });
+    },
+
+    close() {
+      for (const client of live.clients) client.terminate();
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
+
+if (require.main === module) {
+  const mock = createMockServer(process.env.MOCK_TRANSCRIPT ? { transcript: process.env.MOCK_TRANSCRIPT } : {});
+  mock.listen(Number(process.env.MOCK_PORT) || 4010).then(url => {
+    console.log(`🧪 Mock services running on ${url}`);
+    console.log(`   MOCK_SERVICES_URL=${url} OPENAI_API_KEY=mock WEATHER_API_KEY=mock NEWSDATA_API_KEY=mock DEEPGRAM_API_KEY=mock`);
+  });
+}
+
+module.exports = { createMockServer, DEFAULT_OPTIONS };
@@ -0,0 +1,331 @@
+// Browser stand-in for the ESP32: records the microphone as 16 kHz / 16-bit mono PCM, uploads it
+// between START and END (a WAV header with zero sizes first, then raw frames, like the
+// firmware), sends SET_CONFIG and plays whatever TTS comes back (URL, chunked or whole file).
+// "v1" speaks the typed protocol instead (hello, config, audio_start / audio_end).
+
+const SAMPLE_RATE = 16000;
+const FRAME_SAMPLES = 1024; // 2 KB binary frames, close to what the firmware sends
+const FORM_KEY = "terracloud.client";
+const MIME_TYPES = { mp3: "audio/mpeg", wav: "audio/wav", opus: "audio/ogg" };
+const LEGACY_STATUS = { PROCESSING: "processing", CONFIG_OK: "config_ok" };
+
+// Mic capture runs in an AudioWorklet; it only forwards raw blocks to the page
+const WORKLET_SOURCE = `
+registerProcessor("pcm-capture", class extends AudioWorkletProcessor {
+  process([input]) {
+    if (input[0]) this.port.postMessage(input[0].slice());
+    return true;
+  }
+});`;
+
+const $ = id => document.getElementById(id);
+const FORM_FIELDS = ["server-url", "token", "device-id", "protocol", "voice", "prompt", "delivery", "codec"];
+
+let socket = null;
+let recorder = null;
+let tts = null; // audio being received: { format, sampleRate, streamed, chunks }
+
+// --- UI helpers ---
+function log(direction, text) {
+  const item = document.createElement("li");
+  item.className = direction;
+  item.textContent = `${new Date().toLocaleTimeString()} ${{ out: "→", in: "←", error: "⚠" }[direction]} ${text}`;
+  $("log").append(item);
+  $("log").scrollTop = $("log").scrollHeight;
+}
+
+function setConnected(connected, label) {
+  $("status").textContent = label;
+  $("status").classList.toggle("live", connected);
+  $("connect").textContent = connected ? "Disconnect" : "Connect";
+  $("talk").disabled = !connected;
+  $("config-form").querySelector("button").disabled = !connected;
+}
+
+function saveForm() {
+  const values = Object.fromEntries(FORM_FIELDS.map(id => [id, $(id).value]));
+  localStorage.setItem(FORM_KEY, JSON.stringify(values));
+}
+
+function loadForm() {
+  const proto = location.protocol === "https:" ? "wss:" : "ws:";
+  $("server-url").value = `${proto}//${location.host}/`;
+  const saved = JSON.parse(localStorage.getItem(FORM_KEY) || "{}");
+  for (const id of FORM_FIELDS) if (saved[id] !== undefined) $(id).value = saved[id];
+}
+
+const legacy = () => $("protocol").value === "legacy";
+
+// --- Sending ---
+function sendText(text) {
+  socket.send(text);
+  log("out", text);
+}
+
+function sendMessage(type, fields = {}) {
+  sendText(JSON.stringify({ type, ...fields }));
+}
+
+function sendConfig() {
+  const config = {};
+  if ($("device-id").value.trim()) config.device_id = $("device-id").value.trim();
+  if ($("voice").value.trim()) config.voice = $("voice").value.trim();
+  if ($("prompt").value.trim()) config.prompt = $("prompt").value.trim();
+  config.tts = { codec: $("codec").value };
+  if ($("delivery").value) config.tts.delivery = $("delivery").value;
+
+  if (legacy()) sendText(JSON.stringify({ cmd: "SET_CONFIG", ...config }));
+  else sendMessage("config", config);
+}
+
+function wavHeader(sampleRate, dataLength = 0) {
+  const view = new DataView(new ArrayBuffer(44));
+  const ascii = (offset, text) => [...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  ascii(0, "RIFF");
+  view.setUint32(4, dataLength ? 36 + dataLength : 0, true);
+  ascii(8, "WAVE");
+  ascii(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  ascii(36, "data");
+  view.setUint32(40, dataLength, true);
+  return view.buffer;
+}
+
+// --- Recording ---
+// Linear-interpolating resampler that keeps its position across blocks
+function createResampler(fromRate, toRate) {
+  const step = fromRate / toRate;
+  let position = 0;
+  let last = 0;
+
+  return input => {
+    const output = [];
+    for (; position < input.length; position += step) {
+      const index = Math.floor(position);
+      const current = index < 0 ? last : input[index];
+      const next = index + 1 < input.length ? input[index + 1] : current;
+      output.push(current + (next - current) * (position - index));
+    }
+    position -= input.length;
+    last = input[input.length - 1];
+    return output;
+  };
+}
+
+function toPcm16(samples) {
+  const view = new DataView(new ArrayBuffer(samples.length * 2));
+  samples.forEach((sample, i) => {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    view.setInt16(i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+  });
+  return view.buffer;
+}
+
+async function startRecording() {
+  if (recorder || socket?.readyState !== WebSocket.OPEN) return;
+  recorder = { pending: [], bytes: 0 };
+
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true },
+    });
+    const context = new AudioContext();
+    const moduleUrl = URL.createObjectURL(new Blob([WORKLET_SOURCE], { type: "text/javascript" }));
+    await context.audioWorklet.addModule(moduleUrl);
+    URL.revokeObjectURL(moduleUrl);
+
+    const source = context.createMediaStreamSource(stream);
+    const node = new AudioWorkletNode(context, "pcm-capture");
+    const resample = createResampler(context.sampleRate, SAMPLE_RATE);
+    Object.assign(recorder, { stream, context, source, node });
+    if (recorder.released) return stopRecording(); // let go before the mic was ready
+
+    if (legacy()) sendText("START");
+    else sendMessage("audio_start");
+    socket.send(wavHeader(SAMPLE_RATE));
+
+    node.port.onmessage = ({ data }) => {
+      if (!recorder) return;
+      recorder.pending.push(...resample(data));
+      while (recorder.pending.length >= FRAME_SAMPLES) sendFrame(recorder.pending.splice(0, FRAME_SAMPLES));
+    };
+    source.connect(node);
+    $("talk").classList.add("recording");
+  } catch (err) {
+    log("error", `Microphone: ${err.message}`);
+    recorder = null;
+  }
+}
+
+function sendFrame(samples) {
+  if (socket?.readyState !== WebSocket.OPEN) return;
+  socket.send(toPcm16(samples));
+  recorder.bytes += samples.length * 2;
+  $("level").textContent = `${(recorder.bytes / 2 / SAMPLE_RATE).toFixed(1)} s sent`;
+}
+
+function releaseMic() {
+  const { stream, context, source, node } = recorder;
+  source.disconnect();
+  node.port.onmessage = null;
+  stream.getTracks().forEach(track => track.stop());
+  context.close();
+  recorder = null;
+  $("talk").classList.remove("recording");
+}
+
+function stopRecording() {
+  if (!recorder) return;
+  if (!recorder.context) {
+    recorder.released = true;
+    return;
+  }
+  if (recorder.released) {
+    releaseMic();
+    return;
+  }
+  if (recorder.pending.length) sendFrame(recorder.pending);
+  log("out", `[${recorder.bytes} bytes of PCM]`);
+  releaseMic();
+
+  if (socket?.readyState !== WebSocket.OPEN) return;
+  if (legacy()) sendText("END");
+  else sendMessage("audio_end");
+}
+
+// --- Receiving ---
+// Old-firmware shapes ("PROCESSING", { type: "tts_url" }, bare transcript text) → v1 frames
+function normalize(text) {
+  if (!text.startsWith("{")) return LEGACY_STATUS[text] ? { type: "status", state: LEGACY_STATUS[text] } : { type: "text", text };
+
+  const frame = JSON.parse(text);
+  if (frame.type?.startsWith("tts_")) {
+    const { type, ...rest } = frame;
+    return { type: "tts", event: type.slice(4), ...rest };
+  }
+  if (frame.type === "vad") return { type: "status", state: frame.event, reason: frame.reason };
+  return frame;
+}
+
+function play(src) {
+  $("player").src = src;
+  $("player").play().catch(err => log("error", `Playback: ${err.message}`));
+}
+
+function concatBytes(chunks) {
+  const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.byteLength, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(new Uint8Array(chunk), offset);
+    offset += chunk.byteLength;
+  }
+  return bytes;
+}
+
+function finishTts() {
+  const { format, sampleRate, streamed, chunks } = tts;
+  tts = null;
+  if (!chunks.length) return;
+
+  // Streamed WAV starts with a header of unknown length; give it the real one
+  let parts = chunks;
+  if (format === "wav" && streamed) {
+    const pcm = concatBytes(chunks).subarray(44);
+    parts = [wavHeader(sampleRate, pcm.length), pcm];
+  }
+  if ($("player").src.startsWith("blob:")) URL.revokeObjectURL($("player").src);
+  play(URL.createObjectURL(new Blob(parts, { type: MIME_TYPES[format] || "audio/mpeg" })));
+}
+
+function handleTts(frame) {
+  switch (frame.event) {
+    case "url":
+      play(frame.url);
+      break;
+    case "start":
+    case "file":
+      tts = { format: frame.format || "mp3", sampleRate: frame.sample_rate || 24000, streamed: frame.event === "start", chunks: [] };
+      break;
+    case "end":
+      if (tts) finishTts();
+      break;
+  }
+}
+
+function handleMessage({ data }) {
+  if (data instanceof ArrayBuffer) {
+    if (tts) tts.chunks.push(data);
+    else log("in", `[${data.byteLength} bytes of unexpected audio]`);
+    return;
+  }
+
+  log("in", data);
+  let frame;
+  try {
+    frame = normalize(data);
+  } catch {
+    log("error", "Frame is not valid JSON");
+    return;
+  }
+  if (frame.type === "tts") handleTts(frame);
+}
+
+// --- Connection ---
+function connect() {
+  saveForm();
+  const url = new URL($("server-url").value);
+  if ($("token").value) url.searchParams.set("token", $("token").value);
+
+  socket = new WebSocket(url);
+  socket.binaryType = "arraybuffer";
+  setConnected(false, "Connecting…");
+
+  socket.onopen = () => {
+    setConnected(true, legacy() ? "Connected (legacy)" : "Connected (v1)");
+    if (!legacy()) sendMessage("hello", { versions: [1], device_id: $("device-id").value.trim() || undefined, firmware: "browser-client" });
+    sendConfig();
+  };
+  socket.onmessage = handleMessage;
+  socket.onclose = ({ code, reason }) => {
+    stopRecording();
+    socket = null;
+    setConnected(false, "Disconnected");
+    log("error", `Closed (${code}${reason ? ` ${reason}` : ""})`);
+  };
+}
+
+$("connect-form").addEventListener("submit", event => {
+  event.preventDefault();
+  if (socket) socket.close();
+  else connect();
+});
+
+$("config-form").addEventListener("submit", event => {
+  event.preventDefault();
+  saveForm();
+  if (socket?.readyState === WebSocket.OPEN) sendConfig();
+});
+
+$("talk").addEventListener("pointerdown", startRecording);
+$("talk").addEventListener("pointerup", stopRecording);
+$("talk").addEventListener("pointerleave", stopRecording);
+
+const typing = () => ["INPUT", "TEXTAREA", "SELECT"].includes(document.activeElement?.tagName);
+document.addEventListener("keydown", event => {
+  if (event.code !== "Space" || event.repeat || typing() || $("talk").disabled) return;
+  event.preventDefault();
+  startRecording();
+});
+document.addEventListener("keyup", event => {
+  if (event.code === "Space" && !typing()) stopRecording();
+});
+
+$("clear-log").addEventListener("click", () => $("log").replaceChildren());
+
+loadForm();
@@ -0,0 +1,255 @@
+// TerraCloud operator dashboard: connected devices, a live feed per device, recent errors and
+// replay of the last recording / TTS output. Everything comes from the admin API and the
+// /dashboard/ws feed, both authenticated with the admin token kept in localStorage.
+
+const TOKEN_KEY = "terracloud.adminToken";
+const RECONNECT_MS = 3000;
+const MAX_FEED = 200;
+const MAX_ERRORS = 50;
+const UNAUTHORIZED = 4401;
+
+const $ = id => document.getElementById(id);
+
+const state = {
+  token: localStorage.getItem(TOKEN_KEY) || "",
+  sessions: new Map(), // session id → device (as in GET /devices/connected)
+  feeds: new Map(), // deviceId → feed entries
+  partials: new Map(), // deviceId → interim transcript
+  replays: new Set(), // `${deviceId}/${kind}`
+  errors: [],
+  selected: null,
+};
+
+let socket = null;
+let reconnectTimer = null;
+let playerUrl = null;
+
+// --- DOM helpers ---
+function el(tag, props = {}, ...children) {
+  const node = Object.assign(document.createElement(tag), props);
+  node.append(...children.filter(child => child != null));
+  return node;
+}
+
+function timeOf(event) {
+  return el("span", { className: "time", textContent: new Date(event.at).toLocaleTimeString() });
+}
+
+function setStatus(text, live = false) {
+  $("status").textContent = text;
+  $("status").classList.toggle("live", live);
+}
+
+// --- State updates ---
+function pushLimited(list, item, max) {
+  list.push(item);
+  if (list.length > max) list.shift();
+}
+
+function feedOf(deviceId) {
+  if (!state.feeds.has(deviceId)) state.feeds.set(deviceId, []);
+  return state.feeds.get(deviceId);
+}
+
+function apply(event, { live = true } = {}) {
+  switch (event.type) {
+    case "connected":
+    case "identified":
+      state.sessions.set(event.session, event.device);
+      pushLimited(feedOf(event.deviceId), event, MAX_FEED);
+      break;
+
+    case "disconnected":
+      state.sessions.delete(event.session);
+      state.partials.delete(event.deviceId);
+      pushLimited(feedOf(event.deviceId), event, MAX_FEED);
+      break;
+
+    case "replay":
+      state.replays.add(`${event.deviceId}/${event.kind}`);
+      pushLimited(feedOf(event.deviceId), event, MAX_FEED);
+      break;
+
+    case "frame": {
+      const { frame } = event;
+      if (frame.type === "transcript" && frame.partial) {
+        state.partials.set(event.deviceId, frame.text);
+        return;
+      }
+      if (frame.type === "transcript") state.partials.delete(event.deviceId);
+      if (frame.type === "status") {
+        const device = state.sessions.get(event.session);
+        if (device) device.state = frame.state;
+      }
+      if (frame.type === "error" && live) pushLimited(state.errors, event, MAX_ERRORS);
+      pushLimited(feedOf(event.deviceId), event, MAX_FEED);
+      break;
+    }
+  }
+}
+
+function loadSnapshot({ devices, events, errors, replays }) {
+  state.sessions = new Map(devices.map(device => [device.session, device]));
+  state.feeds = new Map();
+  state.partials = new Map();
+  state.replays = new Set(replays.map(({ deviceId, kind }) => `${deviceId}/${kind}`));
+  state.errors = errors;
+  for (const event of events) apply(event, { live: false });
+  // Sessions that closed before the snapshot was taken don't count as connected
+  state.sessions = new Map(devices.map(device => [device.session, device]));
+}
+
+// --- Rendering ---
+function knownDevices() {
+  const online = new Map();
+  for (const device of state.sessions.values()) online.set(device.deviceId, device);
+  const ids = new Set([...online.keys(), ...state.feeds.keys()]);
+  return [...ids].sort().map(deviceId => ({ deviceId, device: online.get(deviceId) }));
+}
+
+function renderDevices() {
+  const devices = knownDevices();
+  if (!state.selected && devices.length) state.selected = devices[0].deviceId;
+
+  $("devices").replaceChildren(...devices.map(({ deviceId, device }) => {
+    const meta = device
+      ? `${device.state} · v${device.protocol}${device.paired ? " · paired" : ""}`
+      : "offline";
+    const item = el("li", {}, deviceId, el("span", { className: "meta", textContent: meta }));
+    item.classList.toggle("selected", deviceId === state.selected);
+    item.addEventListener("click", () => {
+      state.selected = deviceId;
+      render();
+    });
+    return item;
+  }));
+  $("no-devices").hidden = devices.length > 0;
+}
+
+function describe(event) {
+  switch (event.type) {
+    case "connected":
+      return ["device", `Connected (session ${event.session.slice(0, 8)})`];
+    case "identified":
+      return ["device", `Identified as ${event.deviceId}`];
+    case "disconnected":
+      return ["device", "Disconnected"];
+    case "replay":
+      return ["replay-note", event.kind === "tts" ? "Reply audio saved" : "Recording saved"];
+  }
+
+  const { frame } = event;
+  switch (frame.type) {
+    case "transcript":
+    case "reply":
+    case "notification":
+      return [frame.type, frame.text];
+    case "status":
+      return ["status", `Status: ${frame.state}${frame.reason ? ` (${frame.reason})` : ""}`];
+    case "config":
+      return ["config", `Config pushed: voice ${frame.voice ?? "—"}, language ${frame.language ?? "—"}`];
+    case "error":
+      return ["error", `${frame.code}: ${frame.msg}`];
+  }
+  return ["status", frame.type];
+}
+
+function renderFeed() {
+  const deviceId = state.selected;
+  $("feed-title").textContent = deviceId ? `Live feed · ${deviceId}` : "Live feed";
+
+  const entries = (deviceId && state.feeds.get(deviceId)) || [];
+  $("feed").replaceChildren(...entries.map(event => {
+    const [kind, text] = describe(event);
+    const { type, skill: name, language } = event.frame ?? {};
+    const skill = type === "reply" && name
+      ? el("span", { className: "skill", textContent: language && language !== "auto" ? `${name} · ${language}` : name })
+      : null;
+    return el("li", { className: kind }, timeOf(event), text, skill);
+  }));
+  $("feed").scrollTop = $("feed").scrollHeight;
+
+  const partial = deviceId && state.partials.get(deviceId);
+  $("partial").textContent = partial ? `${partial}…` : "";
+
+  for (const kind of ["recording", "tts"]) {
+    $(`replay-${kind}`).disabled = !deviceId || !state.replays.has(`${deviceId}/${kind}`);
+  }
+}
+
+function renderErrors() {
+  $("errors").replaceChildren(...[...state.errors].reverse().map(event =>
+    el("li", {}, timeOf(event), `${event.deviceId}: ${event.frame.code} — ${event.frame.msg}`)
+  ));
+  $("no-errors").hidden = state.errors.length > 0;
+}
+
+function render() {
+  renderDevices();
+  renderFeed();
+  renderErrors();
+}
+
+// --- Live feed ---
+function connect() {
+  clearTimeout(reconnectTimer);
+  if (socket) {
+    socket.onclose = null;
+    socket.close();
+  }
+
+  const proto = location.protocol === "https:" ? "wss:" : "ws:";
+  const query = state.token ? `?token=${encodeURIComponent(state.token)}` : "";
+  socket = new WebSocket(`${proto}//${location.host}/dashboard/ws${query}`);
+  setStatus("Connecting…");
+
+  socket.onopen = () => setStatus("Live", true);
+  socket.onmessage = ({ data }) => {
+    const event = JSON.parse(data);
+    if (event.type === "snapshot") loadSnapshot(event);
+    else apply(event);
+    render();
+  };
+  socket.onclose = ({ code }) => {
+    if (code === UNAUTHORIZED) {
+      setStatus("Unauthorized — check the admin token");
+      return;
+    }
+    setStatus("Disconnected, retrying…");
+    reconnectTimer = setTimeout(connect, RECONNECT_MS);
+  };
+}
+
+// --- Replay ---
+async function play(kind) {
+  const deviceId = state.selected;
+  const res = await fetch(`/devices/${encodeURIComponent(deviceId)}/replay/${kind}`, {
+    headers: state.token ? { Authorization: `Bearer ${state.token}` } : {},
+  });
+  if (!res.ok) {
+    const { error } = await res.json().catch(() => ({ error: res.statusText }));
+    alert(`Replay failed: ${error}`);
+    return;
+  }
+
+  if (playerUrl) URL.revokeObjectURL(playerUrl);
+  playerUrl = URL.createObjectURL(await res.blob());
+  const player = $("player");
+  player.hidden = false;
+  player.src = playerUrl;
+  player.play().catch(() => {}); // autoplay may be blocked; the controls are there
+}
+
+$("replay-recording").addEventListener("click", () => play("recording"));
+$("replay-tts").addEventListener("click", () => play("tts"));
+
+$("token").value = state.token;
+$("token-form").addEventListener("submit", event => {
+  event.preventDefault();
+  state.token = $("token").value.trim();
+  localStorage.setItem(TOKEN_KEY, state.token);
+  connect();
+});
+
+render();
+connect();
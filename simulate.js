@@ -0,0 +1,129 @@
+require("dotenv").config({ quiet: true }); // stdout carries the frames
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { createSimulator, PROTOCOLS, CHUNK_SIZE } = require("./lib/simulator");
+
+// === Headless ESP32 simulator ===
+// Plays a WAV file at a TerraCloud server like a device would and prints every frame it
+// sent or got back as one JSON line ({ at, direction, kind, data, frame, bytes }), with `at`
+// in ms since connecting. A timing summary goes to stderr. Exits non-zero if the server
+// answered with an error or never finished.
+//
+//   node simulate.js --url ws://localhost:10000 --wav audio.wav --config '{"voice":"nova"}'
+
+const USAGE = `Usage: node simulate.js [options]
+  --url <ws-url>        server to connect to (default ws://localhost:$PORT or :10000)
+  --token <token>       device token, when pairing is on (default $DEVICE_TOKEN)
+  --device-id <id>      device id to identify as
+  --protocol <p>        ${PROTOCOLS.join(" | ")} (default legacy, like the shipped firmware)
+  --config <json>       send SET_CONFIG with these fields first, e.g. '{"voice":"nova"}'
+  --wav <file>          recording to upload (default audio.wav)
+  --chunk-size <bytes>  binary frame size (default ${CHUNK_SIZE})
+  --realtime            pace the upload at the audio's own rate
+  --repeat <n>          upload the recording n times (default 1)
+  --idle <ms>           give up on a turn after this long without a frame (default 5000)
+  --timeout <ms>        give up on a turn after this long overall (default 30000)
+  --out <file>          write the frames there instead of stdout
+  --save-audio <file>   save the binary audio the server sent back`;
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      url: { type: "string", default: `ws://localhost:${process.env.PORT || 10000}` },
+      token: { type: "string", default: process.env.DEVICE_TOKEN },
+      "device-id": { type: "string" },
+      protocol: { type: "string", default: "legacy" },
+      config: { type: "string" },
+      wav: { type: "string", default: "audio.wav" },
+      "chunk-size": { type: "string", default: String(CHUNK_SIZE) },
+      realtime: { type: "boolean", default: false },
+      repeat: { type: "string", default: "1" },
+      idle: { type: "string", default: "5000" },
+      timeout: { type: "string", default: "30000" },
+      out: { type: "string" },
+      "save-audio": { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  return values;
+}
+
+// Times of the interesting frames of one turn, relative to END
+function summarize(frames, endAt) {
+  const after = frames.filter(entry => entry.direction === "in" && entry.at >= endAt);
+  const first = test => {
+    const hit = after.find(test);
+    return hit && hit.at - endAt;
+  };
+  const isTranscript = ({ data, frame }) => (frame ? frame.type === "transcript" && !frame.partial : data && data !== "PROCESSING");
+
+  return {
+    transcriptMs: first(isTranscript),
+    replyMs: first(({ frame }) => frame?.type === "reply"),
+    firstAudioMs: first(({ frame, kind }) => kind === "binary" || /^tts(_|$)/.test(frame?.type)),
+    errors: after.filter(({ frame }) => frame?.type === "error").map(({ frame }) => `${frame.code}: ${frame.msg}`),
+  };
+}
+
+// Runs the turns; resolves with true if every one finished cleanly
+async function run(sim, options) {
+  await sim.connect();
+  console.error(`🔗 Connected to ${options.url} (${options.protocol})`);
+
+  if (options.config) {
+    const ack = await sim.sendConfig(JSON.parse(options.config));
+    if (ack.frame?.type === "error") throw new Error(`Config rejected: ${ack.frame.msg}`);
+    console.error("⚙️ Config accepted");
+  }
+
+  let ok = true;
+  for (let turn = 1; turn <= Number(options.repeat); turn++) {
+    await sim.sendAudio(options.wav, { chunkSize: Number(options["chunk-size"]), realtime: options.realtime });
+    const endAt = sim.frames.at(-1).at;
+    const outcome = await sim.settle({ idleMs: Number(options.idle), timeoutMs: Number(options.timeout) });
+
+    const { transcriptMs, replyMs, firstAudioMs, errors } = summarize(sim.frames, endAt);
+    const ms = value => (value === undefined ? "—" : `${value}ms`);
+    console.error(`🏁 Turn ${turn} ${outcome}: transcript ${ms(transcriptMs)}, reply ${ms(replyMs)}, first audio ${ms(firstAudioMs)}`);
+    for (const error of errors) console.error(`❌ ${error}`);
+    if (errors.length || outcome === "timeout" || outcome === "closed") ok = false;
+    if (outcome === "closed") break;
+  }
+  return ok;
+}
+
+async function main() {
+  const options = parseOptions();
+  const sim = createSimulator({
+    url: options.url,
+    token: options.token,
+    deviceId: options["device-id"],
+    protocol: options.protocol,
+  });
+
+  let ok = false;
+  try {
+    ok = await run(sim, options);
+  } catch (err) {
+    console.error("❌ Simulation failed:", err.message);
+  } finally {
+    await sim.close();
+  }
+
+  // Frames are written even for a failed run; they're what explains the failure
+  const lines = sim.frames.map(entry => JSON.stringify(entry)).join("\n") + "\n";
+  if (options.out) fs.writeFileSync(options.out, lines);
+  else process.stdout.write(lines);
+
+  if (options["save-audio"] && sim.audio.length) {
+    fs.writeFileSync(options["save-audio"], Buffer.concat(sim.audio));
+    console.error(`💾 Saved ${options["save-audio"]}`);
+  }
+  process.exitCode = ok ? 0 : 1;
+}
+
+main();
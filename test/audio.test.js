@@ -0,0 +1,185 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { tempDir } = require("./helpers");
+const { prepareWavFile, createWavHeader, parseWavHeader, WavError } = require("../lib/wav");
+const { createSentenceSplitter } = require("../lib/tts/sentences");
+const { streamSpeech, sendInChunks } = require("../lib/tts/stream");
+const { createTtsService, parseOutputConfig } = require("../lib/tts");
+const { createVad } = require("../lib/vad");
+
+const dir = tempDir();
+let fileCount = 0;
+
+function writeUpload(buffer) {
+  const file = path.join(dir, `upload-${++fileCount}.wav`);
+  fs.writeFileSync(file, buffer);
+  return file;
+}
+
+function fakeChannel() {
+  return {
+    isOpen: true,
+    frames: [],
+    binary: [],
+    send(type, payload) {
+      this.frames.push({ type, ...payload });
+      return true;
+    },
+    sendBinary(buffer) {
+      this.binary.push(Buffer.from(buffer));
+      return true;
+    },
+  };
+}
+
+async function* fromArray(items) {
+  for (const item of items) yield item;
+}
+
+test("the firmware's zero-size header is patched to the real length", async () => {
+  const file = writeUpload(Buffer.concat([createWavHeader(0), Buffer.alloc(3200)]));
+  const info = await prepareWavFile(file);
+
+  assert.equal(info.dataSize, 3200);
+  assert.equal(info.durationMs, 100);
+  const { riffSize, dataSize } = parseWavHeader(fs.readFileSync(file));
+  assert.equal(dataSize, 3200);
+  assert.equal(riffSize, 36 + 3200);
+});
+
+test("headerless PCM is wrapped in a WAV header", async () => {
+  const file = writeUpload(Buffer.alloc(1601)); // odd trailing byte is dropped
+  const info = await prepareWavFile(file);
+
+  assert.equal(info.wrapped, true);
+  assert.equal(info.dataSize, 1600);
+  assert.equal(fs.statSync(file).size, 44 + 1600);
+});
+
+test("bad uploads are rejected with a BAD_AUDIO reason", async () => {
+  const rejects = (buffer, reason) =>
+    assert.rejects(prepareWavFile(writeUpload(buffer)), err => err instanceof WavError && err.reason === reason);
+
+  await rejects(Buffer.alloc(0), "empty");
+  await rejects(createWavHeader(0), "empty");
+  await rejects(Buffer.from("RIFF\0\0\0\0JUNKJUNK"), "not_wav");
+  await rejects(Buffer.concat([createWavHeader(0, { sampleRate: 12345, channels: 1, bitDepth: 16 }), Buffer.alloc(64)]), "unsupported_sample_rate");
+  await rejects(Buffer.concat([createWavHeader(0, { sampleRate: 16000, channels: 1, bitDepth: 8 }), Buffer.alloc(64)]), "unsupported_bit_depth");
+
+  const frame = new WavError("empty", "Recording is empty").toFrame();
+  assert.deepEqual(frame, { type: "error", code: "BAD_AUDIO", reason: "empty", msg: "Recording is empty" });
+});
+
+test("the VAD times speech by the sample rate and channels it's told", () => {
+  // 8 kHz stereo: 20 ms frames are 640 bytes, so 1 s of loud audio is 32000 bytes
+  const tone = Buffer.alloc(32000);
+  for (let i = 0; i < tone.length; i += 2) tone.writeInt16LE(i % 4 ? 8000 : -8000, i);
+  let ended = null;
+  const vad = createVad({ sampleRate: 8000, channels: 2, onSpeechEnd: info => (ended = info) });
+  vad.push(tone);
+  vad.push(Buffer.alloc(32000)); // 1 s of silence
+  assert.equal(ended.reason, "silence");
+  assert.ok(ended.durationMs >= 1000 && ended.durationMs < 2000, `${ended.durationMs}ms`);
+});
+
+test("the splitter hands back whole sentences and holds short ones back", () => {
+  const splitter = createSentenceSplitter();
+  assert.deepEqual(splitter.push("Hi! The weather in Ce"), []);
+  assert.deepEqual(splitter.push("bu is sunny today. Bring "), ["Hi! The weather in Cebu is sunny today."]);
+  assert.deepEqual(splitter.push("water"), []);
+  assert.deepEqual(splitter.flush(), ["Bring water"]);
+});
+
+test("binary audio is sent in chunks and stops once the socket closes", () => {
+  const channel = fakeChannel();
+  sendInChunks(channel, Buffer.alloc(10), 4);
+  assert.deepEqual(channel.binary.map(b => b.length), [4, 4, 2]);
+
+  channel.isOpen = false;
+  sendInChunks(channel, Buffer.alloc(10), 4);
+  assert.equal(channel.binary.length, 3);
+});
+
+test("streamed speech is framed sentence by sentence, in order", async () => {
+  const channel = fakeChannel();
+  const delays = [30, 0];
+  const synthesize = async sentence => {
+    await new Promise(resolve => setTimeout(resolve, delays.shift()));
+    return fromArray([Buffer.from(sentence)]);
+  };
+
+  const text = await streamSpeech(channel, fromArray(["The first sentence is slow. ", "The second one is quick."]), { synthesize });
+
+  assert.equal(text, "The first sentence is slow. The second one is quick.");
+  assert.deepEqual(
+    channel.frames.map(({ event, index }) => [event, index]),
+    [["start", undefined], ["sentence", 0], ["sentence", 1], ["end", undefined]]
+  );
+  assert.deepEqual(channel.binary.map(String), ["The first sentence is slow.", "The second one is quick."]);
+  assert.equal(channel.frames.at(-1).bytes, text.length - 1);
+});
+
+test("a failed synthesis sends TTS_FAILED but still ends the stream", async () => {
+  const channel = fakeChannel();
+  const synthesize = async () => {
+    throw new Error("backend down");
+  };
+  const text = await streamSpeech(channel, fromArray(["This sentence never gets a voice."]), { synthesize });
+
+  assert.equal(text, "This sentence never gets a voice.");
+  assert.deepEqual(channel.frames.map(({ event, code }) => event || code), ["start", "sentence", "TTS_FAILED", "end"]);
+});
+
+test("once a sentence's audio fails, the rest of the reply is read but not synthesized", async () => {
+  const channel = fakeChannel();
+  const synthesized = [];
+  const synthesize = async sentence => {
+    synthesized.push(sentence);
+    if (synthesized.length === 2) throw new Error("backend down");
+    return fromArray([Buffer.from(sentence)]);
+  };
+  // The model is still writing the third sentence when the second one fails
+  async function* deltas() {
+    yield "The first sentence is fine. ";
+    yield "The second sentence fails. ";
+    await new Promise(resolve => setTimeout(resolve, 30));
+    yield "The third sentence is never spoken.";
+  }
+  const text = await streamSpeech(channel, deltas(), { synthesize });
+
+  assert.equal(text, "The first sentence is fine. The second sentence fails. The third sentence is never spoken.");
+  assert.deepEqual(synthesized, ["The first sentence is fine.", "The second sentence fails."]);
+  assert.deepEqual(channel.frames.map(({ event, code }) => event || code), ["start", "sentence", "sentence", "TTS_FAILED", "end"]);
+});
+
+test("speak counts only the characters the backend voiced", async () => {
+  // A speech endpoint that goes down after its first sentence
+  let calls = 0;
+  const openai = {
+    audio: {
+      speech: {
+        async create({ input }) {
+          if (++calls > 1) throw new Error("backend down");
+          return { body: fromArray([Buffer.from(input)]) };
+        },
+      },
+    },
+  };
+  const tts = createTtsService({ openai, outputDir: path.join(dir, "tts") });
+  const reply = "The first sentence is fine. The second sentence fails.";
+
+  const chunked = await tts.speak(fakeChannel(), reply, { output: parseOutputConfig({ delivery: "chunked" }) });
+  assert.deepEqual(chunked, { text: reply, synthesized: "The first sentence is fine.".length });
+
+  const file = await tts.speak(fakeChannel(), reply, { output: parseOutputConfig({ delivery: "file" }) });
+  assert.deepEqual(file, { text: reply, synthesized: 0 });
+});
+
+test("SET_CONFIG tts options are validated", () => {
+  assert.deepEqual(parseOutputConfig({ delivery: "url", codec: "wav", sample_rate: 24000 }), { delivery: "url", codec: "wav", sampleRate: 24000 });
+  assert.throws(() => parseOutputConfig({ delivery: "carrier-pigeon" }), /Unsupported TTS delivery/);
+  assert.throws(() => parseOutputConfig({ codec: "flac" }), /Unsupported TTS codec/);
+  assert.throws(() => parseOutputConfig({ sample_rate: 100 }), /Unsupported TTS sample rate/);
+});
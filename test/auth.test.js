@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { tempDir, freePort, mockedEnv, startServer } = require("./helpers");
+const { createMockServer } = require("../mock/server");
+
+// Device pairing against a server with auth on: the admin token may do anything, the pairing
+// code only registers ids nobody holds yet.
+
+const dir = tempDir();
+const mock = createMockServer();
+const ADMIN_TOKEN = "test-admin";
+const PAIRING_CODE = "test-pairing";
+let server = null;
+let baseUrl = null;
+
+test.before(async () => {
+  const mockUrl = await mock.listen();
+  const port = await freePort();
+  const env = { ...mockedEnv(mockUrl, dir), PORT: String(port), AUTH_REQUIRED: "1", ADMIN_TOKEN, PAIRING_CODE };
+  server = await startServer("index.js", env);
+  baseUrl = `http://localhost:${port}`;
+});
+
+test.after(async () => {
+  await server?.stop();
+  await mock.close();
+});
+
+function register(body, token) {
+  return fetch(`${baseUrl}/devices/register`, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...(token && { authorization: `Bearer ${token}` }) },
+    body: JSON.stringify(body),
+  });
+}
+
+const admin = { authorization: `Bearer ${ADMIN_TOKEN}` };
+
+test("the pairing code registers a new device, but not one already registered", async () => {
+  assert.equal((await register({ device_id: "paired", pairing_code: "wrong" })).status, 401);
+
+  const first = await register({ device_id: "paired", pairing_code: PAIRING_CODE });
+  assert.equal(first.status, 201);
+  assert.ok((await first.json()).token);
+
+  const again = await register({ device_id: "paired", pairing_code: PAIRING_CODE });
+  assert.equal(again.status, 409);
+  assert.deepEqual(await again.json(), { error: "Device already registered" });
+
+  // The admin may still re-issue its token
+  assert.equal((await register({ device_id: "paired" }, ADMIN_TOKEN)).status, 201);
+});
+
+test("a revoked device stays revoked unless the admin registers it again", async () => {
+  assert.equal((await register({ device_id: "stolen", pairing_code: PAIRING_CODE })).status, 201);
+  assert.equal((await fetch(`${baseUrl}/devices/stolen/token`, { method: "DELETE", headers: admin })).status, 200);
+
+  const again = await register({ device_id: "stolen", pairing_code: PAIRING_CODE });
+  assert.equal(again.status, 409);
+  assert.deepEqual(await again.json(), { error: "Device revoked" });
+  const revokedAt = async () => (await (await fetch(`${baseUrl}/devices/registered`, { headers: admin })).json())
+    .find(({ deviceId }) => deviceId === "stolen").revokedAt;
+  assert.ok(await revokedAt());
+
+  assert.equal((await register({ device_id: "stolen" }, ADMIN_TOKEN)).status, 201);
+  assert.equal(await revokedAt(), null);
+});
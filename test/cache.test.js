@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createCache } = require("../lib/cache");
+const { createWeatherClient } = require("../lib/services/weather");
+const { createNewsClient } = require("../lib/services/news");
+
+test("cache entries expire after their ttl and the oldest go first past max", () => {
+  let clock = 0;
+  const cache = createCache({ ttlMs: 1000, max: 2, now: () => clock });
+
+  cache.set("a", 1);
+  assert.equal(cache.get("a"), 1);
+  clock = 1000;
+  assert.equal(cache.get("a"), undefined);
+
+  cache.set("b", 2);
+  cache.set("c", 3);
+  cache.set("d", 4);
+  assert.equal(cache.size, 2);
+  assert.equal(cache.get("b"), undefined);
+  assert.equal(cache.get("d"), 4);
+});
+
+test("the weather client caches successful responses only", async () => {
+  const urls = [];
+  let status = 200;
+  const fetch = async url => {
+    urls.push(url);
+    return { ok: status === 200, json: async () => ({ cod: status }) };
+  };
+  const client = createWeatherClient({ fetch, baseUrl: "http://owm", apiKey: "key" });
+
+  await client.current({ lat: 10.3157, lon: 123.8854 });
+  await client.current({ lat: 10.3161, lon: 123.8862 }); // same place, rounded
+  assert.equal(urls.length, 1);
+  assert.match(urls[0], /^http:\/\/owm\/data\/2\.5\/weather\?lat=10\.32&lon=123\.89&units=metric&appid=key$/);
+
+  status = 500;
+  await client.forecast({ lat: 1, lon: 2 });
+  await client.forecast({ lat: 1, lon: 2 });
+  assert.equal(urls.length, 3);
+});
+
+test("the news client caches each topic's page separately", async () => {
+  const urls = [];
+  const fetch = async url => {
+    urls.push(url);
+    return { ok: true, json: async () => ({ status: "success", results: [{ title: url }] }) };
+  };
+  const client = createNewsClient({ fetch, baseUrl: "http://newsdata", apiKey: "key" });
+
+  await client.latest({ category: "sports" });
+  await client.latest({ category: "sports" });
+  await client.latest({ category: "sports", page: "next" });
+  await client.latest({ query: "typhoon", country: null });
+  assert.equal(urls.length, 3);
+  assert.equal(urls[2], "http://newsdata/api/1/news?language=en&q=typhoon&apikey=key");
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { tempDir, isolateStores, ROOT } = require("./helpers");
+
+isolateStores();
+const { loadConfig, DEFAULT_CONFIG } = require("../lib/config");
+
+const dir = tempDir();
+function configFile(contents) {
+  const file = path.join(dir, `config-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, typeof contents === "string" ? contents : JSON.stringify(contents));
+  return file;
+}
+
+test("without a file or env the defaults apply", () => {
+  const { file, ...config } = loadConfig({ env: {} });
+  assert.equal(file, null);
+  assert.deepEqual(config, DEFAULT_CONFIG);
+});
+
+test("the file is merged over the defaults, section by section", () => {
+  const config = loadConfig({ file: configFile({ port: 3000, tts: { delivery: "chunked" }, assistant: { voice: "nova" } }), env: {} });
+  assert.equal(config.port, 3000);
+  assert.deepEqual(config.tts, { ...DEFAULT_CONFIG.tts, delivery: "chunked" });
+  assert.equal(config.assistant.voice, "nova");
+  assert.equal(config.assistant.prompt, DEFAULT_CONFIG.assistant.prompt);
+});
+
+test("environment variables win over the file", () => {
+  const file = configFile({ port: 3000, stt: { provider: "whisper" }, greeting: { enabled: false } });
+  const config = loadConfig({
+    file,
+    env: { PORT: "4000", STT_PROVIDER: "deepgram", ASSISTANT_SKILLS: "time, weather", GREETING: "1", STREAM_REPLIES: "1" },
+  });
+  assert.equal(config.port, 4000);
+  assert.equal(config.stt.provider, "deepgram");
+  assert.deepEqual(config.assistant.skills, ["time", "weather"]);
+  assert.equal(config.greeting.enabled, true);
+  assert.equal(config.streamReplies, true);
+});
+
+test("CONFIG_FILE names the file when no path is passed", () => {
+  const config = loadConfig({ env: { CONFIG_FILE: configFile({ intentMode: "keywords" }) } });
+  assert.equal(config.intentMode, "keywords");
+});
+
+test("invalid values are reported with the setting's name", () => {
+  const invalid = (patch, env = {}) => () => loadConfig({ file: configFile(patch), env });
+  assert.throws(invalid({ stt: { provider: "carrier-pigeon" } }), /stt\.provider must be one of/);
+  assert.throws(invalid({ tts: { delivery: "fax" } }), /tts\.delivery must be one of/);
+  assert.throws(invalid({ assistant: { voice: "robot" } }), /assistant: voice must be one of/);
+  assert.throws(invalid({ greeting: { messages: ["Hi"] } }), /greeting\.messages must map en \/ fil/);
+  assert.throws(invalid({ greeting: { messages: { de: ["Hallo"] } } }), /greeting\.messages must map/);
+  assert.throws(invalid({}, { PORT: "http" }), /port must be a port number/);
+});
+
+test("an unreadable or malformed file is an error, not the defaults", () => {
+  assert.throws(() => loadConfig({ file: path.join(dir, "missing.json"), env: {} }), /Cannot read config file/);
+  assert.throws(() => loadConfig({ file: configFile("{ port: 1"), env: {} }), /Invalid config file/);
+  assert.throws(() => loadConfig({ file: configFile("[]"), env: {} }), /expected a JSON object/);
+});
+
+test("the presets in config/ are valid", () => {
+  const presets = fs.readdirSync(path.join(ROOT, "config")).filter(name => name.endsWith(".json"));
+  assert.ok(presets.length);
+  for (const name of presets) loadConfig({ file: path.join(ROOT, "config", name), env: {} });
+});
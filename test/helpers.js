@@ -0,0 +1,119 @@
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+
+// Shared setup for the test suite: scratch directories, the mock services and a real
+// server process pointed at them.
+
+const ROOT = path.join(__dirname, "..");
+
+// Removed again when the test file's process exits
+function tempDir(prefix = "terracloud-test-") {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.once("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Points every store a lib module writes to at a scratch directory. Call before requiring them.
+function isolateStores(dir = tempDir()) {
+  Object.assign(process.env, {
+    HISTORY_DIR: path.join(dir, "conversations"),
+    SESSION_DIR: path.join(dir, "sessions"),
+    TTS_DIR: path.join(dir, "tts"),
+    REPLAY_DIR: path.join(dir, "replay"),
+    DEVICES_FILE: path.join(dir, "devices.json"),
+    USAGE_FILE: path.join(dir, "usage.json"),
+    SETTINGS_FILE: path.join(dir, "settings.json"),
+    LOCATIONS_FILE: path.join(dir, "locations.json"),
+    REMINDERS_FILE: path.join(dir, "reminders.json"),
+    MEMORY_FILE: path.join(dir, "memory.json"),
+  });
+  return dir;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Environment for a server process that only talks to the mock at `mockUrl`
+function mockedEnv(mockUrl, dir) {
+  return {
+    PATH: process.env.PATH,
+    OPENAI_API_KEY: "mock",
+    DEEPGRAM_API_KEY: "mock",
+    WEATHER_API_KEY: "mock",
+    NEWSDATA_API_KEY: "mock",
+    MOCK_SERVICES_URL: mockUrl,
+    OPENAI_BASE_URL: `${mockUrl}/v1`,
+    DEEPGRAM_BASE_URL: mockUrl,
+    NEWSDATA_BASE_URL: mockUrl,
+    OPENWEATHER_BASE_URL: mockUrl,
+    STT_PROVIDER: "whisper",
+    STT_FALLBACK: "none",
+    AUTH_REQUIRED: "0",
+    QUOTA_REQUESTS_PER_MINUTE: "0",
+    HISTORY_DIR: path.join(dir, "conversations"),
+    SESSION_DIR: path.join(dir, "sessions"),
+    TTS_DIR: path.join(dir, "tts"),
+    REPLAY_DIR: path.join(dir, "replay"),
+    DEVICES_FILE: path.join(dir, "devices.json"),
+    USAGE_FILE: path.join(dir, "usage.json"),
+    SETTINGS_FILE: path.join(dir, "settings.json"),
+    LOCATIONS_FILE: path.join(dir, "locations.json"),
+    REMINDERS_FILE: path.join(dir, "reminders.json"),
+    MEMORY_FILE: path.join(dir, "memory.json"),
+  };
+}
+
+// Starts `script` (relative to the repo root) and resolves once `readyText` shows up in its output
+function startServer(script, env, { readyText = "Server running", timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script], { cwd: ROOT, env, stdio: ["ignore", "pipe", "pipe"] });
+    let output = "";
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${script} did not start:\n${output}`));
+    }, timeoutMs);
+
+    const onData = data => {
+      output += data;
+      if (!output.includes(readyText)) return;
+      clearTimeout(timer);
+      resolve({
+        child,
+        get output() {
+          return output;
+        },
+        stop() {
+          if (child.exitCode !== null) return Promise.resolve();
+          return new Promise(done => {
+            child.once("exit", done);
+            child.kill();
+          });
+        },
+      });
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", code => {
+      clearTimeout(timer);
+      reject(new Error(`${script} exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+// Incoming parsed frames of a simulator, optionally only those after index `since`
+function received(sim, since = 0) {
+  return sim.frames.slice(since).filter(entry => entry.direction === "in" && entry.kind === "text");
+}
+
+module.exports = { ROOT, tempDir, isolateStores, freePort, mockedEnv, startServer, received };
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { isolateStores } = require("./helpers");
+
+const dir = isolateStores();
+const history = require("../lib/history");
+
+const readStored = deviceId => JSON.parse(fs.readFileSync(path.join(dir, "conversations", `${deviceId}.json`), "utf-8"));
+
+test("each exchange is written to the device's own file", () => {
+  history.appendExchange("kitchen", "Hi", "Hello!");
+  history.appendExchange("bedroom", "Anong oras na?", "Ngayon ay 9:00 PM.");
+
+  assert.deepEqual(readStored("kitchen"), [
+    { role: "user", content: "Hi" },
+    { role: "assistant", content: "Hello!" },
+  ]);
+  assert.equal(readStored("bedroom")[0].content, "Anong oras na?");
+});
+
+test("only the last MAX_HISTORY exchanges are kept, and the dropped ones are handed back", () => {
+  const dropped = [];
+  for (let i = 1; i <= history.MAX_HISTORY + 2; i++) dropped.push(...history.appendExchange("trimmed", `question ${i}`, `answer ${i}`));
+  assert.deepEqual(dropped.map(message => message.content), ["question 1", "answer 1", "question 2", "answer 2"]);
+
+  const stored = readStored("trimmed");
+  assert.equal(stored.length, history.MAX_HISTORY * 2);
+  assert.equal(stored[0].content, "question 3");
+  assert.equal(stored.at(-1).content, `answer ${history.MAX_HISTORY + 2}`);
+});
+
+test("conversations survive a restart", () => {
+  fs.writeFileSync(path.join(dir, "conversations", "restored.json"), JSON.stringify([{ role: "user", content: "Remember me?" }]));
+  assert.deepEqual(history.getHistory("restored"), [{ role: "user", content: "Remember me?" }]);
+});
+
+test("the old shared conversation.json becomes the default device's history, once", t => {
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => process.chdir(cwd));
+  fs.writeFileSync("conversation.json", JSON.stringify([{ role: "user", content: "From before devices" }]));
+
+  assert.deepEqual(history.getHistory("default"), [{ role: "user", content: "From before devices" }]);
+  assert.deepEqual(readStored("default"), [{ role: "user", content: "From before devices" }]);
+  assert.equal(fs.existsSync("conversation.json"), false);
+
+  assert.equal(history.clearHistory("default"), true);
+  assert.deepEqual(history.getHistory("default"), [], "cleared stays cleared");
+});
+
+test("a corrupt file starts an empty conversation", () => {
+  fs.writeFileSync(path.join(dir, "conversations", "corrupt.json"), "{not json");
+  assert.deepEqual(history.getHistory("corrupt"), []);
+});
+
+test("device ids can't escape the history directory", () => {
+  assert.equal(history.isValidDeviceId("../etc/passwd"), false);
+  assert.throws(() => history.appendExchange("../escape", "a", "b"), /Invalid device id/);
+});
+
+test("clearHistory removes the file and listDevices reflects it", () => {
+  history.appendExchange("porch", "Hi", "Hey");
+  assert.ok(history.listDevices().some(({ deviceId, messages }) => deviceId === "porch" && messages === 2));
+
+  assert.equal(history.clearHistory("porch"), true);
+  assert.equal(history.clearHistory("porch"), false);
+  assert.ok(!history.listDevices().some(({ deviceId }) => deviceId === "porch"));
+});
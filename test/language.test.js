@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detectLanguage, classify, normalizeLanguage } = require("../lib/language");
+const i18n = require("../lib/i18n");
+
+test("Filipino, English and Taglish are told apart by their function words", () => {
+  const cases = [
+    ["Anong oras na?", "fil"],
+    ["Kumusta ka?", "fil"],
+    ["Salamat", "fil"],
+    ["May balita ba tungkol sa sports?", "fil"],
+    ["Ano ang weather sa Cebu?", "fil"],
+    ["Pwede mo ba akong i-remind bukas?", "fil"],
+    ["What time is it?", "en"],
+    ["Tell me the news about basketball", "en"],
+    ["Can you check the panahon?", "en"],
+  ];
+  for (const [text, language] of cases) assert.equal(classify(text).language, language, text);
+});
+
+test("without enough evidence the STT provider's language decides", () => {
+  assert.equal(classify("Hello").language, null);
+  assert.equal(detectLanguage("Hello"), null);
+  assert.equal(detectLanguage("Hello", { sttLanguage: "tagalog" }), "fil");
+  assert.equal(detectLanguage("Ano ang balita?", { sttLanguage: "english" }), "fil");
+});
+
+test("provider language names are normalized", () => {
+  assert.equal(normalizeLanguage("english"), "en");
+  assert.equal(normalizeLanguage("en-US"), "en");
+  assert.equal(normalizeLanguage("tl"), "fil");
+  assert.equal(normalizeLanguage("Tagalog"), "fil");
+  assert.equal(normalizeLanguage("ja"), null);
+  assert.equal(normalizeLanguage(undefined), null);
+});
+
+test("every language has every message the English catalog has", () => {
+  const keys = Object.keys(i18n.MESSAGES.en);
+  for (const language of i18n.LANGUAGES) {
+    assert.deepEqual(Object.keys(i18n.MESSAGES[language]).sort(), [...keys].sort(), language);
+  }
+});
+
+test("messages are filled in and fall back to English", () => {
+  assert.equal(i18n.t("fil", "time.now", { date: "Lunes", time: "9:00" }), "Ngayon ay Lunes, at ang oras ay 9:00.");
+  assert.equal(i18n.t("auto", "empty_transcript"), "Sorry, I didn't catch that.");
+  assert.ok(i18n.MESSAGES.fil.greetings.includes(i18n.pick("fil", "greetings")));
+  assert.throws(() => i18n.t("en", "no.such.key"), /No message/);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { isolateStores } = require("./helpers");
+
+isolateStores();
+const memory = require("../lib/memory");
+
+// Stands in for the OpenAI client: answers each consolidation with the next reply
+function fakeOpenAi(replies) {
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        async create(params) {
+          requests.push(params);
+          const next = replies.shift();
+          if (next instanceof Error) throw next;
+          return { choices: [{ message: { role: "assistant", content: JSON.stringify(next) } }] };
+        },
+      },
+    },
+  };
+}
+
+const exchange = (question, answer) => [{ role: "user", content: question }, { role: "assistant", content: answer }];
+
+test("dropped turns wait until there are enough to summarize", async () => {
+  const openai = fakeOpenAi([{ summary: "They talked about their dog.", facts: ["Their dog is named Bantay"] }]);
+
+  await memory.remember("dog-owner", exchange("My dog is Bantay", "What a lovely name!"), { openai });
+  assert.equal(openai.requests.length, 0);
+  assert.equal(memory.getMemory("dog-owner").pending, 2);
+
+  await memory.remember("dog-owner", exchange("What time is it?", "It's 9 PM."), { openai });
+  assert.equal(openai.requests.length, 1);
+  assert.equal(openai.requests[0].response_format.type, "json_object");
+  assert.match(openai.requests[0].messages[1].content, /User: My dog is Bantay\nAssistant: What a lovely name!\nUser: What time is it\?/);
+
+  assert.deepEqual(memory.getMemory("dog-owner"), { summary: "They talked about their dog.", facts: ["Their dog is named Bantay"], pending: 0 });
+  const saved = JSON.parse(fs.readFileSync(process.env.MEMORY_FILE, "utf-8"));
+  assert.deepEqual(saved["dog-owner"].facts, ["Their dog is named Bantay"]);
+});
+
+test("the summary rolls forward and a known fact is only dropped when named as outdated", async () => {
+  const openai = fakeOpenAi([
+    { summary: "They live in Cebu.", facts: ["They live in Cebu", "Their name is Ana"] },
+    { summary: "They moved from Cebu to Davao.", facts: ["They live in Davao", "They live in Davao", "  "], forget: ["They live in Cebu"] },
+  ]);
+  await memory.remember("mover", [...exchange("I live in Cebu", "Nice!"), ...exchange("Hi", "Hello!")], { openai });
+  await memory.remember("mover", [...exchange("I moved to Davao", "Welcome!"), ...exchange("Thanks", "Anytime.")], { openai });
+
+  const second = openai.requests[1].messages[1].content;
+  assert.match(second, /Summary so far: They live in Cebu\./);
+  assert.match(second, /Known facts:\n- They live in Cebu/);
+  assert.deepEqual(memory.getMemory("mover").facts, ["Their name is Ana", "They live in Davao"], "duplicates and blanks dropped");
+});
+
+test("a reply with no facts, or fewer than are known, erases nothing", async () => {
+  memory.setMemory("keeper", { facts: ["Their dog is named Bantay", "They live in Cebu"] });
+  const openai = fakeOpenAi([{ summary: "Small talk.", facts: [] }, { summary: "More small talk.", facts: ["They live in Cebu"] }]);
+  await memory.remember("keeper", [...exchange("Hi", "Hello!"), ...exchange("Bye", "Bye!")], { openai });
+  await memory.remember("keeper", [...exchange("Hi again", "Hello!"), ...exchange("Bye again", "Bye!")], { openai });
+
+  assert.deepEqual(memory.getMemory("keeper").facts, ["Their dog is named Bantay", "They live in Cebu"]);
+  assert.equal(memory.getMemory("keeper").summary, "More small talk.");
+});
+
+test("turns are kept for the next try when the model can't be reached", async () => {
+  const openai = fakeOpenAi([new Error("offline"), { summary: "Caught up.", facts: [] }]);
+  await memory.remember("flaky", [...exchange("a", "b"), ...exchange("c", "d")], { openai });
+  assert.equal(memory.getMemory("flaky").pending, 4);
+
+  await memory.remember("flaky", exchange("e", "f"), { openai });
+  assert.match(openai.requests[1].messages[1].content, /User: a\n.*\nUser: e\nAssistant: f$/s);
+  assert.equal(memory.getMemory("flaky").summary, "Caught up.");
+});
+
+test("recall gives every fact when there are few, otherwise the ones that match what was said", () => {
+  memory.setMemory("few", { facts: ["Their name is Ana", "Their dog is named Bantay"] });
+  assert.deepEqual(memory.recall("few", "Tell me a joke").facts, ["Their name is Ana", "Their dog is named Bantay"]);
+
+  const filler = Array.from({ length: memory.PROMPT_FACTS }, (_, i) => `They like song number ${i}`);
+  memory.setMemory("many", { facts: ["Their dog is named Bantay", ...filler, "Their sister Liza lives in Iloilo"] });
+  const { facts } = memory.recall("many", "What should I feed my dog?");
+  assert.equal(facts.length, memory.PROMPT_FACTS);
+  assert.equal(facts[0], "Their dog is named Bantay");
+  assert.ok(facts.includes("Their sister Liza lives in Iloilo"), "newest fill the rest");
+});
+
+test("memories can be replaced and forgotten", () => {
+  assert.throws(() => memory.setMemory("edited", { facts: "not a list" }), /facts must be an array/);
+  assert.throws(() => memory.setMemory("../escape", { facts: [] }), /Invalid device id/);
+
+  memory.setMemory("edited", { facts: ["Their name is Ben"], summary: "They asked about the weather." });
+  assert.equal(memory.getMemory("edited").summary, "They asked about the weather.");
+  assert.equal(memory.forget("edited"), true);
+  assert.equal(memory.forget("edited"), false);
+  assert.deepEqual(memory.getMemory("edited"), { summary: null, facts: [], pending: 0 });
+});
@@ -0,0 +1,242 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const WebSocket = require("ws");
+const { tempDir, freePort, mockedEnv, startServer, received } = require("./helpers");
+const { createMockServer, DEFAULT_OPTIONS } = require("../mock/server");
+const { createSimulator } = require("../lib/simulator");
+const { createWavHeader } = require("../lib/wav");
+
+// End to end: the server (index.js) in its own process, every provider answered by the
+// mock, and a simulated ESP32 on the WebSocket.
+
+const dir = tempDir();
+const mock = createMockServer();
+const recording = Buffer.concat([createWavHeader(0), Buffer.alloc(16000)]); // 0.5 s of silence, sizes unset like the firmware's
+let server = null;
+let url = null;
+let adminUrl = null;
+const sims = [];
+const ADMIN_TOKEN = "test-admin";
+
+test.before(async () => {
+  const mockUrl = await mock.listen();
+  const port = await freePort();
+  server = await startServer("index.js", { ...mockedEnv(mockUrl, dir), PORT: String(port), ADMIN_TOKEN });
+  url = `ws://localhost:${port}`;
+  adminUrl = `http://localhost:${port}`;
+});
+
+test.after(async () => {
+  await Promise.all(sims.map(sim => sim.close()));
+  await server?.stop();
+  await mock.close();
+});
+
+test.beforeEach(() => {
+  Object.assign(mock.options, { transcript: DEFAULT_OPTIONS.transcript, reply: DEFAULT_OPTIONS.reply });
+});
+
+async function connect(options = {}) {
+  const sim = createSimulator({ url, ...options });
+  sims.push(sim);
+  await sim.connect();
+  return sim;
+}
+
+// A bare socket, for frames the simulator would never send
+async function rawSocket() {
+  const ws = new WebSocket(url);
+  const incoming = [];
+  ws.on("message", data => incoming.push(data.toString()));
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+  return { ws, incoming };
+}
+
+// Uploads one recording and resolves with the incoming text frames of that turn
+async function turn(sim, audio = recording) {
+  const since = sim.frames.length;
+  await sim.sendAudio(audio);
+  await sim.settle({ idleMs: 3000, settleMs: 200, timeoutMs: 15000 });
+  return received(sim, since);
+}
+
+const errorsOf = frames => frames.filter(({ frame }) => frame?.type === "error").map(({ frame }) => frame);
+
+test("legacy SET_CONFIG is acknowledged with CONFIG_OK", async () => {
+  const sim = await connect({ deviceId: "legacy-config" });
+  const ack = await sim.sendConfig({ voice: "nova", tts: { delivery: "url" } });
+  assert.equal(ack.data, "CONFIG_OK");
+});
+
+test("START, audio and END get a transcript, a reply and speech, and the exchange is saved", async () => {
+  const sim = await connect({ deviceId: "legacy-turn" });
+  await sim.sendConfig({ tts: { delivery: "url" } });
+  const frames = await turn(sim);
+
+  assert.equal(frames[0].data, "PROCESSING");
+  assert.deepEqual(frames[1].frame, { type: "transcript", text: "What's the weather in Cebu?", partial: false });
+  assert.ok(frames.some(({ frame }) => frame?.type === "tts_url"), "tts url");
+  assert.deepEqual(errorsOf(frames), []);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, "conversations", "legacy-turn.json"), "utf-8"));
+  assert.deepEqual(saved[0], { role: "user", content: "What's the weather in Cebu?" });
+  assert.equal(saved[1].role, "assistant");
+});
+
+test("a v1 device gets typed frames and chunked audio", async () => {
+  const sim = await connect({ protocol: "v1", deviceId: "v1-turn" });
+  await sim.sendConfig({ tts: { delivery: "chunked" } });
+  const audioBefore = sim.audio.length;
+  const frames = await turn(sim);
+  const types = frames.map(({ frame }) => frame?.type === "tts" ? `tts ${frame.event}` : frame?.type);
+
+  assert.deepEqual(types.slice(0, 2), ["status", "transcript"]);
+  assert.ok(types.includes("reply"));
+  assert.equal(types.at(-1), "tts end");
+  assert.ok(sim.audio.length > audioBefore, "binary audio");
+});
+
+test("skills are offered to the model as tools and their results spoken", async () => {
+  const sim = await connect({ protocol: "v1", deviceId: "tool-turn" });
+  const frames = await turn(sim);
+  const reply = frames.find(({ frame }) => frame?.type === "reply").frame;
+
+  assert.match(reply.text, /^Mock reply: The weather in .+ is scattered clouds/);
+  assert.ok(mock.requests.some(({ path }) => path === "/data/2.5/weather"), "weather lookup");
+});
+
+test("a home location set through the admin API answers weather questions without a place", async () => {
+  const response = await fetch(`${adminUrl}/devices/home-turn/location`, {
+    method: "PUT",
+    headers: { authorization: `Bearer ${ADMIN_TOKEN}`, "content-type": "application/json" },
+    body: JSON.stringify({ city: "Davao" }),
+  });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).location.name, "Davao");
+
+  const sim = await connect({ protocol: "v1", deviceId: "home-turn" });
+  const frames = await turn(sim);
+  assert.match(frames.find(({ frame }) => frame?.type === "reply").frame.text, /The weather in Davao is scattered clouds/);
+});
+
+const lastChat = () => mock.requests.filter(({ path }) => path === "/v1/chat/completions").at(-1).body.messages;
+
+test("a question asked in Filipino is answered in Filipino", async () => {
+  mock.options.transcript = "Kumusta ka na po?";
+  const sim = await connect({ protocol: "v1", deviceId: "fil-turn" });
+  const frames = await turn(sim);
+
+  assert.equal(frames.find(({ frame }) => frame?.type === "reply").frame.language, "fil");
+  const [system, ...rest] = lastChat();
+  assert.match(system.content, /Always reply in Filipino/);
+  assert.deepEqual(rest.at(-1), { role: "user", content: "Kumusta ka na po?" });
+});
+
+test("a device's pinned language wins over the one it was asked in", async () => {
+  mock.options.transcript = "Ano ang balita ngayon?";
+  const sim = await connect({ protocol: "v1", deviceId: "pinned-turn" });
+  await sim.sendConfig({ language: "en" });
+  const frames = await turn(sim);
+
+  assert.equal(frames.find(({ frame }) => frame?.type === "reply").frame.language, "en");
+  assert.match(lastChat()[0].content, /Always reply in English/);
+});
+
+test("facts remembered for a device are put in its chat prompt", async () => {
+  const response = await fetch(`${adminUrl}/devices/memory-turn/memory`, {
+    method: "PUT",
+    headers: { authorization: `Bearer ${ADMIN_TOKEN}`, "content-type": "application/json" },
+    body: JSON.stringify({ facts: ["Their dog is named Bantay"], summary: "They asked about dog food." }),
+  });
+  assert.equal(response.status, 200);
+
+  mock.options.transcript = "What's my dog's name?";
+  const sim = await connect({ protocol: "v1", deviceId: "memory-turn" });
+  await turn(sim);
+  assert.match(lastChat()[0].content, /What you know about the user:\n- Their dog is named Bantay\n\nEarlier conversation, summarized: They asked about dog food\./);
+});
+
+const notificationOf = ({ frame }) => frame?.type === "notification";
+
+test("a reminder set by voice is spoken to the device when it's due", async () => {
+  mock.options.transcript = "Remind me in 1 second to stretch";
+  const sim = await connect({ protocol: "v1", deviceId: "reminder-turn" });
+  const since = sim.frames.length;
+  const frames = await turn(sim);
+  assert.match(frames.find(({ frame }) => frame?.type === "reply").frame.text, /I'll remind you to stretch in 1 second/);
+
+  const { frame } = sim.frames.slice(since).find(notificationOf) ?? await sim.waitFor(notificationOf);
+  assert.equal(frame.kind, "reminder");
+  assert.equal(frame.text, "⏰ Reminder: stretch!");
+});
+
+test("a reminder that goes off while the device is away is spoken when it reconnects", async () => {
+  mock.options.transcript = "Remind me in 2 seconds to water the plants";
+  const sim = await connect({ protocol: "v1", deviceId: "reminder-away" });
+  const replied = sim.waitFor(({ frame }) => frame?.type === "reply", { timeoutMs: 15000 });
+  await sim.sendAudio(recording);
+  await replied;
+  await sim.close();
+  await new Promise(resolve => setTimeout(resolve, 3000));
+
+  const back = await connect({ protocol: "v1", deviceId: "reminder-away" });
+  const { frame } = back.frames.find(notificationOf) ?? await back.waitFor(notificationOf);
+  assert.match(frame.text, /Reminder: water the plants!$/);
+});
+
+test("live transcription is opened at the sample rate and channels the device declared", async () => {
+  const sim = await connect({ protocol: "v1", deviceId: "live-8k" });
+  await sim.sendConfig({ stt_mode: "stream", sample_rate: 8000, channels: 1 });
+  await turn(sim, Buffer.alloc(8000));
+
+  const live = mock.requests.findLast(({ method, path }) => method === "WS" && path === "/v1/listen");
+  assert.equal(live.query.sample_rate, "8000");
+  assert.equal(live.query.channels, "1");
+});
+
+test("END without START is ignored", async () => {
+  const socket = await rawSocket();
+  socket.ws.send("END");
+  await new Promise(resolve => setTimeout(resolve, 500));
+  socket.ws.close();
+  assert.deepEqual(socket.incoming, []);
+});
+
+test("an invalid config field is rejected as BAD_MESSAGE", async () => {
+  const sim = await connect();
+  const { frame } = await sim.sendConfig({ voice: 42 });
+  assert.equal(frame.code, "BAD_MESSAGE");
+  assert.equal(frame.reason, "invalid_field");
+});
+
+test("a recording that isn't WAV or PCM is rejected as BAD_AUDIO", async () => {
+  const sim = await connect({ protocol: "v1" });
+  const frames = await turn(sim, Buffer.from("RIFF\0\0\0\0JUNKJUNKJUNKJUNK"));
+  const [error] = errorsOf(frames);
+  assert.equal(error.code, "BAD_AUDIO");
+  assert.equal(error.reason, "not_wav");
+});
+
+test("silence that transcribes to nothing gets EMPTY_TRANSCRIPT", async () => {
+  mock.options.transcript = "";
+  const sim = await connect({ protocol: "v1" });
+  const [error] = errorsOf(await turn(sim));
+  assert.equal(error.code, "EMPTY_TRANSCRIPT");
+  assert.equal(error.msg, "Sorry, I didn't catch that.");
+});
+
+test("typed frames before hello get hello_required", async () => {
+  const socket = await rawSocket();
+  const reply = new Promise(resolve => socket.ws.once("message", data => resolve(JSON.parse(data.toString()))));
+  socket.ws.send(JSON.stringify({ type: "audio_start" }));
+  const frame = await reply;
+  socket.ws.close();
+
+  assert.equal(frame.code, "BAD_MESSAGE");
+  assert.equal(frame.reason, "hello_required");
+});
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createChannel, validate, ProtocolError } = require("../lib/protocol");
+
+function fakeSocket() {
+  return { OPEN: 1, readyState: 1, sent: [], send(data) { this.sent.push(data); } };
+}
+
+test("old firmware's bare commands become typed messages", () => {
+  const channel = createChannel(fakeSocket(), { sessionId: "s1" });
+  assert.deepEqual(channel.receive(Buffer.from("START")), { type: "audio_start" });
+  assert.deepEqual(channel.receive(Buffer.from("END")), { type: "audio_end" });
+  assert.equal(channel.receive(Buffer.from("hello there")), null);
+  assert.equal(channel.legacy, true);
+});
+
+test("legacy SET_CONFIG keeps only known, non-null fields", () => {
+  const channel = createChannel(fakeSocket());
+  const msg = channel.receive(Buffer.from(JSON.stringify({ cmd: "SET_CONFIG", voice: "nova", prompt: null, extra: 1 })));
+  assert.deepEqual(msg, { type: "config", voice: "nova" });
+});
+
+test("legacy SET_CONFIG with a wrongly typed field is rejected", () => {
+  const channel = createChannel(fakeSocket());
+  assert.throws(
+    () => channel.receive(Buffer.from(JSON.stringify({ cmd: "SET_CONFIG", vad: "yes" }))),
+    err => err instanceof ProtocolError && err.reason === "invalid_field"
+  );
+});
+
+test("legacy devices get the shapes they already understand", () => {
+  const ws = fakeSocket();
+  const channel = createChannel(ws, { legacyText: ["reply"] });
+  channel.send("status", { state: "processing" });
+  channel.send("status", { state: "config_ok" });
+  channel.send("tts", { event: "url", url: "http://x/tts/a.mp3", format: "mp3" });
+  channel.send("reply", { text: "Hi!" });
+  channel.send("hello", { version: 1 });
+  assert.deepEqual(ws.sent, [
+    "PROCESSING",
+    "CONFIG_OK",
+    JSON.stringify({ type: "tts_url", url: "http://x/tts/a.mp3", format: "mp3" }),
+    "Hi!",
+  ]);
+});
+
+test("hello negotiates v1 and is answered", () => {
+  const ws = fakeSocket();
+  const channel = createChannel(ws, { sessionId: "abc" });
+  const msg = channel.receive(Buffer.from(JSON.stringify({ type: "hello", versions: [1, 2], device_id: "kitchen" })));
+  assert.equal(msg.device_id, "kitchen");
+  assert.equal(channel.version, 1);
+  assert.deepEqual(JSON.parse(ws.sent[0]), { type: "hello", version: 1, session: "abc" });
+
+  channel.send("status", { state: "processing" });
+  assert.deepEqual(JSON.parse(ws.sent[1]), { type: "status", state: "processing" });
+});
+
+test("typed frames need a hello first", () => {
+  const channel = createChannel(fakeSocket());
+  assert.throws(
+    () => channel.receive(Buffer.from(JSON.stringify({ type: "audio_start" }))),
+    err => err.reason === "hello_required"
+  );
+});
+
+test("unsupported versions are refused", () => {
+  const channel = createChannel(fakeSocket());
+  assert.throws(
+    () => channel.receive(Buffer.from(JSON.stringify({ type: "hello", versions: [7] }))),
+    err => err.reason === "unsupported_version"
+  );
+});
+
+test("validate() names the problem", () => {
+  const reasonOf = frame => {
+    try {
+      validate(frame, "device");
+    } catch (err) {
+      return err.reason;
+    }
+    return null;
+  };
+  assert.equal(reasonOf({ type: "nope" }), "unknown_type");
+  assert.equal(reasonOf({ type: "config", colour: "red" }), "unknown_field");
+  assert.equal(reasonOf({ type: "config", skills: ["time", 3] }), "invalid_field");
+  assert.equal(reasonOf({ type: "hello" }), "missing_field");
+  assert.equal(reasonOf({ type: "config", voice: "nova" }), null);
+});
+
+test("sendError keeps structured codes and hides the rest behind INTERNAL", () => {
+  const ws = fakeSocket();
+  const channel = createChannel(ws);
+  channel.receive(Buffer.from(JSON.stringify({ type: "hello", versions: [1] })));
+  channel.sendError(new ProtocolError("invalid_json", "Text frames must be JSON"));
+  channel.sendError(new Error("boom"), "Error processing request");
+  assert.deepEqual(JSON.parse(ws.sent[1]), { type: "error", code: "BAD_MESSAGE", reason: "invalid_json", msg: "Text frames must be JSON" });
+  assert.deepEqual(JSON.parse(ws.sent[2]), { type: "error", code: "INTERNAL", msg: "Error processing request" });
+});
+
+test("nothing is sent on a closed socket", () => {
+  const ws = fakeSocket();
+  ws.readyState = 3;
+  const channel = createChannel(ws);
+  assert.equal(channel.send("status", { state: "processing" }), false);
+  assert.equal(channel.sendBinary(Buffer.alloc(4)), false);
+  assert.deepEqual(ws.sent, []);
+});
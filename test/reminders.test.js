@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { isolateStores } = require("./helpers");
+
+isolateStores();
+const { parseTime, formatClock, formatDay } = require("../lib/timeparse");
+const reminders = require("../lib/reminders");
+const { announce, extractTask, dueFromArgs, formatDuration } = require("../lib/skills/reminders");
+
+// Monday 19 October 2026, 6:00 PM in Manila
+const NOW = Date.parse("2026-10-19T10:00:00Z");
+const when = text => {
+  const parsed = parseTime(text, { now: NOW });
+  return parsed && `${formatDay(parsed.dueAt)} ${formatClock(parsed.dueAt)}`;
+};
+
+test("parseTime reads English durations and clock times", () => {
+  assert.equal(parseTime("remind me in 20 minutes to stretch", { now: NOW }).durationMs, 20 * 60000);
+  assert.equal(parseTime("set a timer for five minutes", { now: NOW }).durationMs, 5 * 60000);
+  assert.equal(parseTime("timer for 1 hour and 30 minutes", { now: NOW }).durationMs, 90 * 60000);
+  assert.equal(parseTime("half an hour timer", { now: NOW }).durationMs, 30 * 60000);
+
+  assert.equal(when("wake me at 6am"), "Tuesday, October 20 6:00 AM");
+  assert.equal(when("wake me at 6"), "Tuesday, October 20 6:00 AM", "the next 6 o'clock");
+  assert.equal(when("remind me at 7 to feed the cats"), "Monday, October 19 7:00 PM");
+  assert.equal(when("remind me tonight at 9 to lock the door"), "Monday, October 19 9:00 PM");
+  assert.equal(when("call mom at 5:30 pm tomorrow"), "Tuesday, October 20 5:30 PM");
+  assert.equal(when("alarm at noon"), "Tuesday, October 20 12:00 PM");
+  assert.equal(when("remind me to take my medicine"), null);
+});
+
+test("\"a\" and \"an\" are only numbers before a unit, never a clock time", () => {
+  assert.equal(parseTime("remind me in an hour", { now: NOW }).durationMs, 60 * 60000);
+  assert.equal(parseTime("remind me to look at a document in 5 minutes", { now: NOW }).durationMs, 5 * 60000);
+  assert.equal(parseTime("stop by a store in 10 minutes", { now: NOW }).durationMs, 10 * 60000);
+  assert.equal(parseTime("remind me to look at an email", { now: NOW }), null);
+});
+
+test("parseTime reads Filipino durations and clock times", () => {
+  assert.equal(parseTime("ipaalala mo sa loob ng dalawampung minuto", { now: NOW }).durationMs, 20 * 60000);
+  assert.equal(parseTime("isang oras at tatlumpung minuto", { now: NOW }).durationMs, 90 * 60000);
+  assert.equal(when("gisingin mo ako bukas ng alas sais ng umaga"), "Tuesday, October 20 6:00 AM");
+  assert.equal(when("mamayang alas otso ng gabi"), "Monday, October 19 8:00 PM");
+  assert.equal(when("alas dos y medya ng hapon"), "Tuesday, October 20 2:30 PM");
+});
+
+test("a bare 12 is noon, on an explicit day too", () => {
+  assert.equal(when("remind me tomorrow at 12 to eat lunch"), "Tuesday, October 20 12:00 PM");
+  assert.equal(when("tomorrow at 12:30"), "Tuesday, October 20 12:30 PM");
+  assert.equal(when("ipaalala mo bukas ng alas dose"), "Tuesday, October 20 12:00 PM");
+  assert.equal(when("remind me at 12"), "Tuesday, October 20 12:00 AM", "noon has passed, so tonight's midnight");
+});
+
+test("the tool's HH:MM is a 24-hour Philippine time", () => {
+  const at = args => {
+    const due = dueFromArgs(args, NOW);
+    return due && `${formatDay(due.dueAt)} ${formatClock(due.dueAt)}`;
+  };
+  assert.equal(at({ time: "12:00", day: "tomorrow" }), "Tuesday, October 20 12:00 PM");
+  assert.equal(at({ time: "00:30", day: "tomorrow" }), "Tuesday, October 20 12:30 AM");
+  assert.equal(at({ time: "19:15" }), "Monday, October 19 7:15 PM");
+  assert.equal(at({ time: "07:00", day: "today" }), "Tuesday, October 20 7:00 AM", "already past: the next one");
+  assert.equal(at({ time: "25:00" }), null);
+  assert.deepEqual(dueFromArgs({ delaySeconds: 90 }, NOW), { dueAt: NOW + 90000, durationMs: 90000 });
+});
+
+test("extractTask keeps what to be reminded of and drops the time", () => {
+  const task = text => {
+    const parsed = parseTime(text, { now: NOW });
+    return extractTask(parsed.text, parsed.spans);
+  };
+  assert.equal(task("remind me in 20 minutes to turn off the rice cooker"), "turn off the rice cooker");
+  assert.equal(task("remind me to call mom at 5pm tomorrow please"), "call mom");
+  assert.equal(task("ipaalala mo sa akin na bumili ng gatas mamayang alas singko"), "bumili ng gatas");
+  assert.equal(task("remind me to look at a document in 5 minutes"), "look at a document");
+  assert.equal(task("set a reminder for 7pm"), null);
+});
+
+test("formatDuration and announce speak in the item's language", () => {
+  assert.equal(formatDuration(90 * 60000, "en"), "1 hour and 30 minutes");
+  assert.equal(formatDuration(45000, "fil"), "45 segundo");
+
+  const timer = { kind: "timer", dueAt: NOW, durationMs: 600000, language: "fil" };
+  assert.equal(announce(timer, { now: NOW }), "⏱️ Tapos na ang 10 minuto na timer mo!");
+  const reminder = { kind: "reminder", text: "stretch", dueAt: NOW, language: "en" };
+  assert.equal(announce(reminder, { now: NOW + 60 * 60000 }), "While you were away, at 6:00 PM: ⏰ Reminder: stretch!");
+});
+
+test("reminders are stored per device and can be cancelled", () => {
+  const later = Date.now() + 60 * 60000;
+  const alarm = reminders.addReminder("store-test", { kind: "alarm", dueAt: later + 1000 });
+  reminders.addReminder("store-test", { kind: "reminder", text: "stretch", dueAt: later });
+  reminders.addReminder("other-device", { kind: "timer", dueAt: later, durationMs: 60000 });
+
+  assert.deepEqual(reminders.pendingReminders("store-test").map(item => item.kind), ["reminder", "alarm"]);
+  assert.throws(() => reminders.addReminder("store-test", { kind: "nap", dueAt: later }), /kind must be one of/);
+
+  const saved = JSON.parse(fs.readFileSync(process.env.REMINDERS_FILE, "utf-8"));
+  assert.equal(saved["store-test"].length, 2);
+
+  assert.deepEqual(reminders.cancelReminders("store-test", { kind: "alarm" }).map(item => item.id), [alarm.id]);
+  assert.equal(reminders.cancelReminders("store-test").length, 1);
+  assert.deepEqual(reminders.listReminders("store-test"), []);
+  assert.equal(reminders.pendingReminders("other-device").length, 1);
+});
+
+test("the scheduler delivers due items and queues them for devices that aren't there", async () => {
+  const online = new Set(["sched-online"]);
+  const delivered = [];
+  const scheduler = reminders.createScheduler({
+    deliver: async (deviceId, item) => {
+      if (!online.has(deviceId)) return false;
+      delivered.push([deviceId, item.text]);
+      return true;
+    },
+  });
+  scheduler.start();
+  try {
+    reminders.addReminder("sched-online", { kind: "reminder", text: "now", dueAt: Date.now() + 20 });
+    reminders.addReminder("sched-offline", { kind: "reminder", text: "queued", dueAt: Date.now() + 20 });
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    assert.deepEqual(delivered, [["sched-online", "now"]]);
+    assert.deepEqual(reminders.listReminders("sched-online"), []);
+    const [queued] = reminders.listReminders("sched-offline");
+    assert.ok(queued.firedAt, "kept, marked as fired");
+    assert.deepEqual(reminders.pendingReminders("sched-offline"), []);
+
+    online.add("sched-offline");
+    await scheduler.flush("sched-offline");
+    assert.deepEqual(delivered.at(-1), ["sched-offline", "queued"]);
+    assert.deepEqual(reminders.listReminders("sched-offline"), []);
+  } finally {
+    scheduler.stop();
+  }
+});
@@ -0,0 +1,403 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers").isolateStores();
+const { createSkillRouter, loadSkills } = require("../lib/skills");
+const weather = require("../lib/skills/weather");
+const news = require("../lib/skills/news");
+const locations = require("../lib/locations");
+
+const router = createSkillRouter(loadSkills(), { mode: "keywords" });
+
+// Stand-ins for createServices() clients
+const SAN_JOSES = [
+  { name: "San Jose", state: "Batangas", country: "PH", lat: 13.88, lon: 121.1 },
+  { name: "San Jose", state: "Nueva Ecija", country: "PH", lat: 15.79, lon: 120.99 },
+  { name: "San Jose", state: "California", country: "US", lat: 37.34, lon: -121.89 },
+];
+
+// Friday 16 October 2026, 08:00 in Manila
+const NOW = Date.parse("2026-10-16T00:00:00Z");
+
+// Every 3 hours for 5 days from NOW; `entry(i)` adds to the i-th one
+function fakeForecast(entry = () => ({})) {
+  const list = Array.from({ length: 40 }, (_, i) => ({
+    dt: NOW / 1000 + i * 10800,
+    main: { temp: 28, temp_min: 25 + (i % 8) / 2, temp_max: 27 + (i % 8) / 2 },
+    weather: [{ description: "few clouds" }],
+    pop: 0.1,
+    ...entry(i),
+  }));
+  return { cod: "200", list, city: { timezone: 8 * 3600 } };
+}
+
+function fakeServices({ city = {}, forecast = fakeForecast(), headlines = ["Headline one", "Headline two"] } = {}) {
+  const calls = { geocode: [], weather: [], forecast: [], news: [] };
+  return {
+    calls,
+    weather: {
+      configured: true,
+      async geocode(query) {
+        calls.geocode.push(query);
+        if (query.toLowerCase() === "nowhere") return [];
+        if (query.toLowerCase() === "san jose") return SAN_JOSES;
+        const name = query.replace(/\b\w/g, letter => letter.toUpperCase());
+        return [{ name, state: null, country: "PH", lat: 10.32, lon: 123.89 }];
+      },
+      async current(place) {
+        calls.weather.push(place.name);
+        return { cod: 200, weather: [{ description: "light rain" }], main: { temp: 27 }, ...city };
+      },
+      async forecast(place) {
+        calls.forecast.push(place.name);
+        return forecast;
+      },
+    },
+    // Two pages of `headlines`, published an hour apart
+    news: {
+      configured: true,
+      async latest(params) {
+        calls.news.push(params);
+        const page = params.page === "page-2" ? 2 : 1;
+        const results = headlines.map((title, i) => ({
+          title: page === 2 ? `${title} (page 2)` : title,
+          description: `All about ${title.toLowerCase()}.`,
+          source_name: "Rappler",
+          pubDate: new Date(Date.now() - (i + 1) * 3600 * 1000).toISOString().replace("T", " ").slice(0, 19),
+        }));
+        return { status: "success", results, nextPage: page === 1 ? "page-2" : null };
+      },
+    },
+  };
+}
+
+function fakeOpenAi(replies) {
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        async create(params) {
+          requests.push(params);
+          const next = replies.shift();
+          const message = typeof next === "string" ? { role: "assistant", content: next } : next;
+          return { choices: [{ message }] };
+        },
+      },
+    },
+  };
+}
+
+test("English and Filipino phrasings reach the same skills", () => {
+  const cases = [
+    ["What time is it?", "time", "en"],
+    ["Anong oras na?", "time", "fil"],
+    ["Anong petsa ngayon?", "time", "fil"],
+    ["What's the weather in Cebu?", "weather", "en"],
+    ["Ano ang panahon sa Baguio?", "weather", "fil"],
+    ["Give me the latest news", "news", "en"],
+    ["May balita ba tungkol sa sports?", "news", "fil"],
+    ["Remind me in 20 minutes to stretch", "reminders", "en"],
+    ["Gisingin mo ako bukas ng alas sais", "reminders", "fil"],
+    ["Tell me a joke", "chat", null],
+  ];
+  for (const [text, skill, lang] of cases) {
+    const match = router.match(text);
+    assert.equal(match.skill.name, skill, text);
+    assert.equal(match.lang, lang, text);
+  }
+});
+
+test("triggers match whole words only", () => {
+  assert.equal(router.match("Sometimes I sing in the shower").skill.name, "chat");
+  assert.equal(router.match("Is the newsletter out?").skill.name, "chat");
+});
+
+test("the highest-priority skill wins", () => {
+  assert.equal(router.match("Weather news for today").skill.name, "weather");
+});
+
+test("disabled skills fall through to chat", () => {
+  assert.equal(router.match("What's the weather in Cebu?", ["time"]).skill.name, "chat");
+  assert.equal(router.match("What time is it?", ["time"]).skill.name, "time");
+});
+
+test("a pinned language overrides the trigger's", async () => {
+  const { skill, reply } = await router.route("What time is it?", { language: "fil" });
+  assert.equal(skill, "time");
+  assert.match(reply, /^Ngayon ay /);
+});
+
+test("extractCity reads the city after in/sa", () => {
+  assert.equal(weather.extractCity("what's the weather in cebu?"), "cebu");
+  assert.equal(weather.extractCity("ano ang panahon sa quezon city"), "quezon city");
+  assert.equal(weather.extractCity("is it raining in davao, please"), "davao");
+  assert.equal(weather.extractCity("weather in san jose, batangas tomorrow"), "san jose, batangas");
+  assert.equal(weather.extractCity("uulan ba sa davao bukas?"), "davao");
+  assert.equal(weather.extractCity("what's the weather like"), null);
+  assert.equal(weather.extractCity("what's the weather in the morning?"), null);
+  assert.equal(weather.extractCity("will it rain this weekend in baguio"), "baguio");
+});
+
+test("extractWhen and extractHome read the time frame and a home to remember", () => {
+  assert.equal(weather.extractWhen("weather tomorrow in cebu"), "tomorrow");
+  assert.equal(weather.extractWhen("panahon sa sabado"), "weekend");
+  assert.equal(weather.extractWhen("will it rain later?"), "hours");
+  assert.equal(weather.extractWhen("uulan ba?"), "hours");
+  assert.equal(weather.extractWhen("weather today"), "today");
+  assert.equal(weather.extractWhen("what's the weather"), "now");
+
+  assert.equal(weather.extractHome("set my location to iloilo city please"), "iloilo city");
+  assert.equal(weather.extractHome("nakatira ako sa davao"), "davao");
+  assert.equal(weather.extractHome("what's the weather at my home"), null);
+});
+
+test("detectTopic maps English and Filipino words to NewsData topics", () => {
+  assert.equal(news.detectTopic("any tech news?"), "technology");
+  assert.equal(news.detectTopic("balita sa palakasan"), "sports");
+  assert.equal(news.detectTopic("ano ang balita sa kalusugan"), "health");
+  assert.equal(news.detectTopic("what's the news"), "");
+});
+
+test("weather answers in the language it was asked in", async () => {
+  const services = fakeServices();
+  const en = await router.route("What's the weather in Cebu?", { services });
+  const fil = await router.route("Ano ang panahon sa Baguio?", { services });
+
+  assert.equal(en.reply, "The weather in Cebu is light rain with a temperature of 27°C.");
+  assert.equal(fil.reply, "Ang panahon sa Baguio ay 27°C, light rain.");
+  assert.deepEqual(services.calls.weather, ["Cebu", "Baguio"]);
+});
+
+test("weather forecasts tomorrow and the weekend in the place's own time", async () => {
+  const services = fakeServices({
+    // Saturday in Manila starts 16:00 UTC on Friday: entries 6..13
+    forecast: fakeForecast(i => (i >= 6 && i < 14 ? { weather: [{ description: "thunderstorms" }], pop: 0.9 } : {})),
+  });
+  const ctx = { services };
+
+  const tomorrow = await weather.getWeather(ctx, { city: "Cebu", when: "tomorrow" }, { now: () => NOW });
+  assert.equal(tomorrow, "Forecast for Cebu: Tomorrow, thunderstorms, 25 to 31°C, 90% chance of rain.");
+
+  const weekend = await weather.getWeather(ctx, { city: "Cebu", when: "weekend", language: "fil" }, { now: () => NOW });
+  assert.equal(weekend, "Taya ng panahon sa Cebu: Sabado, thunderstorms, 25 hanggang 31°C, 90% tsansa ng ulan. " +
+    "Linggo, few clouds, 25 hanggang 31°C, 10% tsansa ng ulan.");
+  assert.deepEqual(services.calls.forecast, ["Cebu", "Cebu"]);
+});
+
+test("weather says when rain starts in the next hours, or that none is coming", async () => {
+  const wet = fakeServices({ forecast: fakeForecast(i => (i === 2 ? { pop: 0.7 } : {})) });
+  assert.equal(await weather.getWeather({ services: wet }, { city: "Cebu", when: "hours" }, { now: () => NOW }),
+    "Rain is likely in Cebu from around 2 PM (70% chance). Bring an umbrella!");
+
+  const dry = fakeServices();
+  assert.equal(await weather.getWeather({ services: dry }, { city: "Cebu", when: "hours" }, { now: () => NOW }),
+    "No rain expected in Cebu in the next 12 hours.");
+});
+
+test("weather asks which place is meant when a name fits several", async () => {
+  const services = fakeServices();
+  const { reply } = await router.route("What's the weather in San Jose?", { services });
+  assert.equal(reply, "There's more than one San Jose. Did you mean San Jose, Batangas or San Jose, Nueva Ecija?");
+  assert.deepEqual(services.calls.weather, []);
+
+  await router.route("What's the weather in San Jose, Nueva Ecija?", { services });
+  assert.deepEqual(services.calls.weather, ["San Jose"]);
+  assert.deepEqual(services.calls.geocode, ["san jose", "san jose"]);
+});
+
+test("a device's home location answers when no place is named", async () => {
+  const services = fakeServices();
+  const session = { deviceId: "weather-home" };
+
+  const { reply: saved } = await router.route("Set my location to Iloilo", { services, session });
+  assert.equal(saved, "Got it, I'll use Iloilo as your home location.");
+  assert.equal(locations.getHome("weather-home").name, "Iloilo");
+
+  const { reply } = await router.route("What's the weather?", { services, session });
+  assert.equal(reply, "The weather in Iloilo is light rain with a temperature of 27°C.");
+  assert.deepEqual(services.calls.geocode, ["iloilo"]);
+
+  await router.route("What's the weather?", { services, session: { deviceId: "elsewhere" } });
+  assert.deepEqual(services.calls.weather, ["Iloilo", "Manila"]);
+});
+
+test("weather reports unknown cities and a missing key instead of throwing", async () => {
+  const services = fakeServices();
+  assert.match((await router.route("weather in nowhere", { services })).reply, /couldn't find the weather/);
+
+  services.weather.configured = false;
+  assert.match((await router.route("weather in cebu", { services })).reply, /Missing weather API key/);
+});
+
+test("news reads numbered headlines with their source and age", async () => {
+  const services = fakeServices();
+  const { skill, reply } = await router.route("Any sports news?", { services });
+
+  assert.equal(skill, "news");
+  assert.equal(reply, "📰 Here are the latest sports headlines. 1. Headline one (Rappler, 1 hour ago) " +
+    "2. Headline two (Rappler, 2 hours ago) 3. Headline one (page 2) (Rappler, 1 hour ago) " +
+    "Say \"next\" for more, or ask me about one of them.");
+  assert.deepEqual(services.calls.news, [
+    { country: "ph", language: "en", category: "sports", query: undefined },
+    { country: "ph", language: "en", category: "sports", query: undefined, page: "page-2" },
+  ]);
+});
+
+test("parseRequest reads custom topics, countries and article languages", () => {
+  assert.deepEqual(news.parseRequest("any news about the sea games?"),
+    { category: null, query: "the sea games", country: "ph", articleLanguage: "en" });
+  assert.deepEqual(news.parseRequest("balita tungkol sa bagyo sa tagalog"),
+    { category: null, query: "bagyo", country: "ph", articleLanguage: "tl" });
+  assert.deepEqual(news.parseRequest("tech news from japan"),
+    { category: "technology", query: "", country: "jp", articleLanguage: "en" });
+  assert.deepEqual(news.parseRequest("world headlines in tagalog"),
+    { category: null, query: "", country: null, articleLanguage: "tl" });
+});
+
+test("parseFollowUp tells next from questions about one headline", () => {
+  assert.deepEqual(news.parseFollowUp("tell me more about the second one"), { action: "details", item: 2 });
+  assert.deepEqual(news.parseFollowUp("ano yung pangatlo?"), { action: "details", item: 3 });
+  assert.deepEqual(news.parseFollowUp("what about the last one"), { action: "details", item: -1 });
+  assert.deepEqual(news.parseFollowUp("tell me more"), { action: "details", item: null });
+  assert.deepEqual(news.parseFollowUp("next"), { action: "next" });
+  assert.deepEqual(news.parseFollowUp("susunod po"), { action: "next" });
+  assert.equal(news.parseFollowUp("tell me a joke"), null);
+  assert.deepEqual(news.parseFollowUp("more headlines please"), { action: "next" });
+  assert.deepEqual(news.parseFollowUp("huling balita"), { action: "details", item: -1 });
+});
+
+test("parseFollowUp leaves questions that only mention an ordinal or \"next\" alone", () => {
+  for (const text of [
+    "who was the first president of the philippines",
+    "huli na ako sa trabaho",
+    "what is the next holiday",
+    "can you tell me more about that movie",
+    "una sa lahat, salamat",
+  ]) assert.equal(news.parseFollowUp(text), null, text);
+});
+
+test("news follow-ups page through the headlines and retell one article", async () => {
+  const services = fakeServices({ headlines: ["Alpha", "Bravo", "Charlie", "Delta"] });
+  const openai = fakeOpenAi(["Bravo happened.", "Charlie happened."]);
+  const session = { skillState: {} };
+  const ask = text => router.route(text, { services, openai, session });
+
+  assert.match((await ask("What's the news?")).reply, /^📰 Here are the latest general headlines\. 1\. Alpha .* 3\. Charlie /);
+
+  const next = await ask("Next");
+  assert.equal(next.skill, "news");
+  assert.match(next.reply, /^📰 More general headlines\. 4\. Delta \(Rappler, 4 hours ago\) 5\. Alpha \(page 2\)/);
+
+  const details = await ask("Tell me more about the second one");
+  assert.equal(details.skill, "news");
+  assert.equal(details.reply, "From Rappler, 2 hours ago: Bravo happened.");
+  assert.match(openai.requests[0].messages[1].content, /Bravo\nAll about bravo\./);
+
+  assert.equal((await ask("next")).reply, "From Rappler, 3 hours ago: Charlie happened.");
+  assert.equal(services.calls.news.length, 2, "every article came from the two pages fetched");
+
+  // Without headlines in the session, the same words are just chat
+  assert.equal(router.match("Next").skill.name, "chat");
+  assert.equal((await router.route("Who was the first president of the Philippines?", { services, openai: fakeOpenAi(["Aguinaldo."]), session })).skill, "chat");
+  assert.equal((await router.route("Tell me more about the second one", { services, openai: fakeOpenAi(["Sure."]), session: { skillState: {} } })).skill, "chat");
+});
+
+test("news follow-ups work as tool calls too", async () => {
+  const toolRouter = createSkillRouter(loadSkills(), { mode: "tools" });
+  const services = fakeServices();
+  const session = { skillState: {} };
+  const call = args => ({
+    role: "assistant",
+    content: null,
+    tool_calls: [{ id: "call_1", type: "function", function: { name: "getLatestNews", arguments: JSON.stringify(args) } }],
+  });
+  const openai = fakeOpenAi([call({ topic: "basketball", country: "us" }), "Here you go.", call({ followUp: "details", item: 1 }), "It was a big game.", "Done."]);
+
+  await toolRouter.route("Any basketball news from the US?", { services, openai, session });
+  assert.deepEqual(services.calls.news[0], { country: "us", language: "en", category: undefined, query: "basketball" });
+  assert.match(openai.requests[1].messages.at(-1).content, /^📰 Here are the latest US basketball headlines\. 1\. Headline one/);
+
+  await toolRouter.route("Tell me about the first one", { services, openai, session });
+  assert.equal(openai.requests[4].messages.at(-1).content, "From Rappler, 1 hour ago: It was a big game.");
+});
+
+test("reminders, timers and alarms are set, listed and cancelled per device", async () => {
+  const session = { deviceId: "skill-reminders", skillState: {} };
+  const ask = async text => (await router.route(text, { session })).reply;
+
+  assert.equal(await ask("Remind me in 20 minutes to turn off the rice cooker"), "⏰ Okay, I'll remind you to turn off the rice cooker in 20 minutes.");
+  assert.equal(await ask("Set a timer for 10 minutes"), "⏱️ Timer set for 10 minutes.");
+  assert.match(await ask("Wake me up at 6am"), /^⏰ Alarm set at 6:00 AM (?:today|tomorrow)\.$/);
+  assert.match(await ask("Remind me to call mom"), /^When should I remind you\?/);
+
+  assert.match(await ask("What reminders do I have?"), /^You have a timer ending in 10 minutes; a reminder to turn off the rice cooker in 20 minutes; an alarm at 6:00 AM/);
+  assert.match(await ask("Anong mga paalala ko?"), /^Mayroon kang timer na matatapos pagkalipas ng 10 minuto;/);
+
+  assert.match(await ask("Cancel my alarm"), /^🗑️ Cancelled an alarm at 6:00 AM/);
+  assert.equal(await ask("Cancel all my reminders"), "🗑️ Cancelled a timer ending in 10 minutes; a reminder to turn off the rice cooker in 20 minutes.");
+  assert.equal(await ask("Cancel my timer"), "There's nothing to cancel.");
+  assert.equal((await router.route("What reminders do I have?", { session: { deviceId: "skill-reminders-other", skillState: {} } })).reply, "You don't have any reminders, timers or alarms.");
+});
+
+test("chat keeps the persona, history and pinned language in the prompt", async () => {
+  const openai = fakeOpenAi(["Hello!"]);
+  const conversation = [{ role: "user", content: "Hi" }, { role: "assistant", content: "Hey" }];
+  const { skill, reply } = await router.route("Tell me a joke", { openai, prompt: "You are Terra.", language: "en", conversation });
+
+  assert.equal(skill, "chat");
+  assert.equal(reply, "Hello!");
+  const [system, ...rest] = openai.requests[0].messages;
+  assert.match(system.content, /^You are Terra\.\nAlways reply in English\./);
+  assert.deepEqual(rest, [...conversation, { role: "user", content: "Tell me a joke" }]);
+});
+
+test("chat puts remembered facts and the earlier-conversation summary in the prompt", async () => {
+  const openai = fakeOpenAi(["Bantay is a good boy."]);
+  const memory = { summary: "They planned a trip to Bohol.", facts: ["Their dog is named Bantay", "They live in Cebu"] };
+  await router.route("What's my dog's name?", { openai, prompt: "You are Terra.", memory });
+
+  const system = openai.requests[0].messages[0].content;
+  assert.match(system, /^You are Terra\.\n\nWhat you know about the user:\n- Their dog is named Bantay\n- They live in Cebu\n\nEarlier conversation, summarized: They planned a trip to Bohol\.\n\nCurrent date/);
+
+  const empty = fakeOpenAi(["Hello!"]);
+  await router.route("Hi", { openai: empty, prompt: "You are Terra.", memory: { summary: null, facts: [] } });
+  assert.match(empty.requests[0].messages[0].content, /^You are Terra\.\n\nCurrent date/);
+});
+
+test("in tools mode the model's tool calls are run and answered", async () => {
+  const toolRouter = createSkillRouter(loadSkills(), { mode: "tools" });
+  const services = fakeServices();
+  const openai = fakeOpenAi([
+    {
+      role: "assistant",
+      content: null,
+      tool_calls: [{ id: "call_1", type: "function", function: { name: "getWeather", arguments: '{"city":"Iloilo"}' } }],
+    },
+    "Bring an umbrella.",
+  ]);
+
+  const { skill, reply } = await toolRouter.route("Do I need an umbrella in Iloilo?", { services, openai });
+  assert.equal(skill, "chat");
+  assert.equal(reply, "Bring an umbrella.");
+  assert.deepEqual(services.calls.geocode, ["Iloilo"]);
+
+  const toolMessage = openai.requests[1].messages.at(-1);
+  assert.equal(toolMessage.role, "tool");
+  assert.match(toolMessage.content, /The weather in Iloilo is light rain/);
+});
+
+test("a detected language wins over the one the model passes to a tool", async () => {
+  const toolRouter = createSkillRouter(loadSkills(), { mode: "tools" });
+  const services = fakeServices();
+  const openai = fakeOpenAi([
+    {
+      role: "assistant",
+      content: null,
+      tool_calls: [{ id: "call_1", type: "function", function: { name: "getWeather", arguments: '{"city":"Cebu","language":"en"}' } }],
+    },
+    "Maulan.",
+  ]);
+
+  await toolRouter.route("Uulan ba sa Cebu?", { services, openai, language: "fil" });
+  assert.match(openai.requests[1].messages.at(-1).content, /^Ang panahon sa Cebu ay/);
+});
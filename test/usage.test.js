@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isolateStores } = require("./helpers");
+
+isolateStores();
+Object.assign(process.env, { QUOTA_REQUESTS_PER_MINUTE: "2", QUOTA_AUDIO_SECONDS_PER_DAY: "10", QUOTA_TTS_CHARS_PER_DAY: "0" });
+const usage = require("../lib/usage");
+
+test("an utterance is refused at its start once the day's audio is used up", () => {
+  usage.admit("listener");
+  usage.admitAudio("listener", 8000);
+  assert.throws(() => usage.admitAudio("listener", 4000), err => err.quota === "audio_seconds_per_day");
+  usage.admitAudio("listener", 2000);
+
+  // Nothing left: refused before anything is recorded or streamed
+  assert.throws(() => usage.admit("listener"), err => err instanceof usage.QuotaError && err.quota === "audio_seconds_per_day");
+  assert.equal(usage.getUsage("listener").today.audioSeconds, 10);
+});
+
+test("refusals are worded in the device's language", () => {
+  usage.admit("tagalog", { language: "fil" });
+  usage.admit("tagalog", { language: "fil" });
+  assert.throws(() => usage.admit("tagalog", { language: "fil" }), err =>
+    err.message === "Ang dami mo nang tanong! Maghintay ka muna ng isang minuto." &&
+    err.toFrame().msg === err.message);
+  assert.throws(() => usage.admit("tagalog"), { message: /^You're talking to me a lot!/ });
+});
+
+test("requests are counted per rolling minute as they start", () => {
+  usage.admit("chatty");
+  usage.admit("chatty");
+  assert.throws(() => usage.admit("chatty"), err => err.quota === "requests_per_minute" && err.retryAfterSec > 0);
+  assert.equal(usage.getUsage("chatty").today.requests, 2);
+});